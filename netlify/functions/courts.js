@@ -0,0 +1,118 @@
+// netlify/functions/courts.js
+import { createClient } from '@supabase/supabase-js';
+
+const url = process.env.SUPABASE_URL;
+const key = process.env.SUPABASE_SERVICE_ROLE || process.env.SUPABASE_ANON_KEY;
+
+const supabase = createClient(url, key, {
+  auth: { persistSession: false },
+});
+
+const CORS = {
+  'access-control-allow-origin': '*',
+  'access-control-allow-methods': 'GET,PUT,OPTIONS',
+  'access-control-allow-headers': 'content-type,authorization,x-admin-key',
+  'content-type': 'application/json',
+};
+
+const J = (status, data) =>
+  new Response(JSON.stringify(data), { status, headers: CORS });
+
+export default async (req) => {
+  try {
+    const method = req.method;
+
+    if (method === 'OPTIONS') {
+      return new Response(null, { status: 204, headers: CORS });
+    }
+
+    if (!url || !key) {
+      return J(500, { error: 'Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE/ANON_KEY' });
+    }
+
+    if (method === 'GET') {
+      const club = new URL(req.url).searchParams.get('club');
+
+      if (!club) {
+        return J(400, { error: 'Missing club' });
+      }
+
+      const { data, error } = await supabase
+        .from('club_courts')
+        .select('*')
+        .eq('club', club)
+        .order('position', { ascending: true });
+
+      if (error) {
+        console.error('[courts][GET]', error);
+        return J(500, { error: error.message || String(error) });
+      }
+
+      return J(200, data || []);
+    }
+
+    // Replaces the club's whole court list; array order is play order.
+    // Rows are upserted on (club, number) first and only the courts missing
+    // from the new list are deleted after, so a failed write never leaves
+    // the club without courts.
+    if (method === 'PUT') {
+      let body = {};
+      try {
+        body = await req.json();
+      } catch {
+        // empty or invalid body
+      }
+
+      const club = String(body?.club || '').trim();
+      const courts = Array.isArray(body?.courts) ? body.courts : [];
+
+      if (!club) {
+        return J(400, { error: 'Missing club' });
+      }
+
+      if (!courts.length) {
+        return J(400, { error: 'No courts provided' });
+      }
+
+      const rows = courts.map((c, i) => ({
+        club,
+        number: Number(c.number),
+        name: c.name || null,
+        tag: c.tag || null,
+        position: i,
+      }));
+
+      if (rows.some((r) => !Number.isInteger(r.number))) {
+        return J(400, { error: 'Invalid court number' });
+      }
+
+      const { data, error } = await supabase
+        .from('club_courts')
+        .upsert(rows, { onConflict: 'club,number' })
+        .select();
+
+      if (error) {
+        console.error('[courts][PUT] upsert', error);
+        return J(500, { error: error.message || String(error) });
+      }
+
+      const { error: deleteError } = await supabase
+        .from('club_courts')
+        .delete()
+        .eq('club', club)
+        .not('number', 'in', `(${rows.map((r) => r.number).join(',')})`);
+
+      if (deleteError) {
+        console.error('[courts][PUT] delete', deleteError);
+        return J(500, { error: deleteError.message || String(deleteError) });
+      }
+
+      return J(200, { ok: true, rows: data || [] });
+    }
+
+    return J(405, { error: 'Method not allowed' });
+  } catch (err) {
+    console.error('[courts] fatal:', err);
+    return J(500, { error: String(err?.message || err) });
+  }
+};
@@ -18,6 +18,14 @@ const CORS = {
 const J = (status, data) =>
   new Response(JSON.stringify(data), { status, headers: CORS });
 
+const HANDEDNESS = ['R', 'L', 'unknown'];
+
+// Anything other than R/L is stored as 'unknown'.
+function withHandedness(row) {
+  if (!row || !('handedness' in row)) return row;
+  return { ...row, handedness: HANDEDNESS.includes(row.handedness) ? row.handedness : 'unknown' };
+}
+
 export default async (req) => {
   try {
     const method = req.method;
@@ -72,6 +80,8 @@ export default async (req) => {
 
         if (!fields || Object.keys(fields).length === 0) continue;
 
+        fields = withHandedness(fields);
+
         const { data, error } = await supabase
           .from('players')
           .update(fields)
@@ -100,7 +110,7 @@ export default async (req) => {
         body = await req.json();
       } catch {}
 
-      const players = Array.isArray(body?.players) ? body.players : [];
+      const players = Array.isArray(body?.players) ? body.players.map(withHandedness) : [];
 
       if (!players.length) {
         return J(400, { error: 'No players provided' });
@@ -71,6 +71,7 @@ export default async (req) => {
           .insert({
             status: 'active',
             rounds_played: 0,
+            ...(body?.club ? { club: String(body.club) } : {}),
           })
           .select()
           .single();
@@ -91,6 +92,8 @@ export default async (req) => {
             losses: 0,
             matches_played: 0,
             benched_count: safeNum(p.bench_count, 0),
+            ...(p.bench_bias !== undefined ? { bench_bias: safeNum(p.bench_bias, 0) } : {}),
+            ...(p.arrived_at ? { arrived_at: p.arrived_at } : {}),
           }));
 
           const { error: attendanceError } = await supabase
@@ -112,6 +115,7 @@ export default async (req) => {
       if (action === 'log_round_results') {
         const sessionId = body?.session_id;
         const roundNumber = safeNum(body?.round_number, 0);
+        const roundSeed = body?.round_seed;
         const results = Array.isArray(body?.results) ? body.results : [];
 
         if (!sessionId) {
@@ -141,6 +145,16 @@ export default async (req) => {
               winner_team: winnerTeam,
               team1_avg_elo: safeNum(result?.team1_avg_elo, 0),
               team2_avg_elo: safeNum(result?.team2_avg_elo, 0),
+              ...(result?.team1_score !== undefined && result?.team2_score !== undefined
+                ? {
+                    team1_score: safeNum(result.team1_score, 0),
+                    team2_score: safeNum(result.team2_score, 0),
+                  }
+                : {}),
+              ...(roundSeed !== undefined && roundSeed !== null
+                ? { round_seed: safeNum(roundSeed, 0) }
+                : {}),
+              ...(result?.explain ? { explain: result.explain } : {}),
               resolved_at: new Date().toISOString(),
             })
             .select()
@@ -196,10 +210,176 @@ export default async (req) => {
         });
       }
 
+      // Everything a built round was made from, so it can be rebuilt later:
+      //   session_rounds (session_id, round_number, round_seed, snapshot jsonb)
+      // The snapshot holds the engine state before the build and the round
+      // inputs (present roster, pins, settings, courts in use).
+      if (action === 'log_round_built') {
+        const sessionId = body?.session_id;
+        const roundNumber = safeNum(body?.round_number, 0);
+
+        if (!sessionId) {
+          return J(400, { error: 'Missing session_id' });
+        }
+
+        if (!roundNumber) {
+          return J(400, { error: 'Missing round_number' });
+        }
+
+        if (!body?.snapshot) {
+          return J(400, { error: 'Missing snapshot' });
+        }
+
+        const { data: roundRow, error: roundError } = await supabase
+          .from('session_rounds')
+          .insert({
+            session_id: sessionId,
+            round_number: roundNumber,
+            round_seed: safeNum(body?.round_seed, 0),
+            snapshot: body.snapshot,
+          })
+          .select()
+          .single();
+
+        if (roundError) {
+          console.error('[sessions][log_round_built][session_rounds insert]', roundError);
+          return J(500, { error: roundError.message || String(roundError) });
+        }
+
+        return J(200, { ok: true, round: roundRow });
+      }
+
+      // Matchmaking fairness state, saved after every round build so the
+      // session can be picked up on another device:
+      //   sessions.fairness_pressure, sessions.fairness_pressure_rounds,
+      //   sessions.pair_history (jsonb), session_players.bench_bias,
+      //   sessions.last_round_benched (jsonb ids), sessions.arrivals (jsonb [id, round])
+      if (action === 'save_fairness_state') {
+        const sessionId = body?.session_id;
+        const playerStates = Array.isArray(body?.players) ? body.players : [];
+
+        if (!sessionId) {
+          return J(400, { error: 'Missing session_id' });
+        }
+
+        const { error: sessionError } = await supabase
+          .from('sessions')
+          .update({
+            fairness_pressure: safeNum(body?.fairness_pressure, 0),
+            fairness_pressure_rounds: safeNum(body?.fairness_pressure_rounds, 0),
+            pair_history: Array.isArray(body?.pair_history) ? body.pair_history : [],
+            ...(Array.isArray(body?.last_round_benched)
+              ? { last_round_benched: body.last_round_benched }
+              : {}),
+            ...(Array.isArray(body?.arrivals) ? { arrivals: body.arrivals } : {}),
+          })
+          .eq('id', sessionId);
+
+        if (sessionError) {
+          console.error('[sessions][save_fairness_state][sessions update]', sessionError);
+          return J(500, { error: sessionError.message || String(sessionError) });
+        }
+
+        for (const state of playerStates) {
+          const fields = {
+            bench_bias: safeNum(state?.bench_bias, 0),
+            benched_count: safeNum(state?.benched_count, 0),
+          };
+
+          const { data: updated, error: spError } = await supabase
+            .from('session_players')
+            .update(fields)
+            .eq('session_id', sessionId)
+            .eq('player_id', state?.player_id)
+            .select('id');
+
+          if (spError) {
+            console.error('[sessions][save_fairness_state][session_players update]', spError, state);
+            return J(500, { error: spError.message || String(spError) });
+          }
+
+          if (updated?.length) continue;
+
+          // Marked present after the session started: no attendance row yet.
+          const { error: insertError } = await supabase.from('session_players').insert({
+            session_id: sessionId,
+            player_id: state?.player_id,
+            starting_elo: safeNum(state?.elo_rating, 1000),
+            ending_elo: null,
+            elo_gain: 0,
+            wins: 0,
+            losses: 0,
+            matches_played: 0,
+            ...fields,
+          });
+
+          if (insertError) {
+            console.error('[sessions][save_fairness_state][session_players insert]', insertError, state);
+            return J(500, { error: insertError.message || String(insertError) });
+          }
+        }
+
+        return J(200, { ok: true });
+      }
+
+      // Mid-session arrivals and departures: session_players.arrived_at / departed_at
+      if (action === 'record_attendance') {
+        const sessionId = body?.session_id;
+        const playerId = body?.player_id;
+        const event = body?.event;
+        const at = body?.at || new Date().toISOString();
+
+        if (!sessionId || !playerId) {
+          return J(400, { error: 'Missing session_id or player_id' });
+        }
+
+        if (event !== 'arrive' && event !== 'depart') {
+          return J(400, { error: 'event must be arrive or depart' });
+        }
+
+        const fields =
+          event === 'arrive' ? { arrived_at: at, departed_at: null } : { departed_at: at };
+
+        const { data: updated, error: spError } = await supabase
+          .from('session_players')
+          .update(fields)
+          .eq('session_id', sessionId)
+          .eq('player_id', playerId)
+          .select('id');
+
+        if (spError) {
+          console.error('[sessions][record_attendance][session_players update]', spError);
+          return J(500, { error: spError.message || String(spError) });
+        }
+
+        if (!updated?.length && event === 'arrive') {
+          const { error: insertError } = await supabase.from('session_players').insert({
+            session_id: sessionId,
+            player_id: playerId,
+            starting_elo: safeNum(body?.elo_rating, 1000),
+            ending_elo: null,
+            elo_gain: 0,
+            wins: 0,
+            losses: 0,
+            matches_played: 0,
+            benched_count: 0,
+            ...fields,
+          });
+
+          if (insertError) {
+            console.error('[sessions][record_attendance][session_players insert]', insertError);
+            return J(500, { error: insertError.message || String(insertError) });
+          }
+        }
+
+        return J(200, { ok: true });
+      }
+
       if (action === 'end_session') {
         const sessionId = body?.session_id;
         const roundsPlayed = safeNum(body?.rounds_played, 0);
         const playerSummaries = Array.isArray(body?.player_summaries) ? body.player_summaries : [];
+        const qualityReport = body?.quality_report;
 
         if (!sessionId) {
           return J(400, { error: 'Missing session_id' });
@@ -231,6 +411,7 @@ export default async (req) => {
             status: 'completed',
             ended_at: new Date().toISOString(),
             rounds_played: roundsPlayed,
+            ...(qualityReport ? { quality_report: qualityReport } : {}),
           })
           .eq('id', sessionId)
           .select()
@@ -254,6 +435,39 @@ export default async (req) => {
       const urlObj = new URL(req.url);
       const sessionId = urlObj.searchParams.get('session_id');
 
+      // The newest active session of one club (hall), when a club is given.
+      if (urlObj.searchParams.get('active')) {
+        const club = urlObj.searchParams.get('club');
+        let query = supabase.from('sessions').select('*').eq('status', 'active');
+        if (club) query = query.eq('club', club);
+
+        const { data: session, error: sessionError } = await query
+          .order('started_at', { ascending: false })
+          .limit(1)
+          .maybeSingle();
+
+        if (sessionError) {
+          console.error('[sessions][GET][active session]', sessionError);
+          return J(500, { error: sessionError.message || String(sessionError) });
+        }
+
+        if (!session) {
+          return J(200, { session: null, session_players: [] });
+        }
+
+        const { data: sessionPlayers, error: spError } = await supabase
+          .from('session_players')
+          .select('*')
+          .eq('session_id', session.id);
+
+        if (spError) {
+          console.error('[sessions][GET][active session_players]', spError);
+          return J(500, { error: spError.message || String(spError) });
+        }
+
+        return J(200, { session, session_players: sessionPlayers || [] });
+      }
+
       if (sessionId) {
         const { data: session, error: sessionError } = await supabase
           .from('sessions')
@@ -316,10 +530,22 @@ export default async (req) => {
 
         const normalizedSessionPlayers = (sessionPlayers || []).map(normalizeJoinedPlayer);
 
+        const { data: rounds, error: roundsError } = await supabase
+          .from('session_rounds')
+          .select('*')
+          .eq('session_id', sessionId)
+          .order('round_number', { ascending: true });
+
+        // Snapshots are extra: without them the history still shows.
+        if (roundsError) {
+          console.error('[sessions][GET][session_rounds]', roundsError);
+        }
+
         return J(200, {
           session,
           matches: normalizedMatches,
           session_players: normalizedSessionPlayers,
+          rounds: roundsError ? [] : rounds || [],
         });
       }
 
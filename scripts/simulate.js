@@ -0,0 +1,315 @@
+// scripts/simulate.js
+//
+// Headless club-night simulator for the matchmaking and rating logic.
+// Synthetic rosters get a hidden true skill; ratings start from a noisy guess
+// (or the flat 1000 a new player gets) and move only through calculateMatchElo.
+// Each night picks a court count, a starting attendance, late arrivals and
+// early departures, then runs the same rounds the app would: select players,
+// build matches, play them out on true skill, update ratings.
+//
+// Every mode sees the same rosters, attendance and court counts, so the
+// numbers are directly comparable.
+//
+//   npm run simulate -- --nights 30 --modes window,band --courts 3,4,5
+//   npm run simulate -- --partner-penalty 90 --json
+//
+// Options (defaults in brackets):
+//   --modes            comma list of match modes [window,band,optimized,mixed,level]
+//   --nights           club nights per mode [20]
+//   --rounds           rounds per night [8]
+//   --roster           club size [28]
+//   --courts           comma list of court counts, one picked per night [3,4,5]
+//   --new-players      share of the roster starting at a flat 1000 [0.25]
+//   --k                ELO K-factor [24]
+//   --partner-penalty  repeat partner penalty [engine default]
+//   --opponent-penalty repeat opponent penalty [engine default]
+//   --singles          allow a singles court for leftovers
+//   --seed             base seed [1]
+//   --json             print the results as JSON instead of a table
+
+import {
+  MATCH_MODES,
+  MatchmakingEngine,
+  calculateMatchElo,
+  createRng,
+  expectedScore,
+} from '../src/logic.js';
+
+const SKILL_MEAN = 1000;
+const SKILL_SD = 200;
+const GUESS_SD = 120;
+const ATTENDANCE = 0.7;
+const LATE_ARRIVAL = 0.1;
+const EARLY_DEPARTURE = 0.1;
+
+function parseArgs(argv) {
+  const opts = {
+    modes: [
+      MATCH_MODES.WINDOW,
+      MATCH_MODES.BAND,
+      MATCH_MODES.OPTIMIZED,
+      MATCH_MODES.MIXED,
+      MATCH_MODES.LEVEL,
+    ],
+    nights: 20,
+    rounds: 8,
+    roster: 28,
+    courts: [3, 4, 5],
+    newPlayers: 0.25,
+    k: 24,
+    partnerPenalty: undefined,
+    opponentPenalty: undefined,
+    singles: false,
+    seed: 1,
+    json: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    const list = (value) => String(value || '').split(',').filter(Boolean);
+    const int = (value, min) => checked(arg, value, min, Infinity, true);
+    const num = (value, min, max = Infinity) => checked(arg, value, min, max, false);
+
+    if (arg === '--modes') opts.modes = list(next());
+    else if (arg === '--nights') opts.nights = int(next(), 1);
+    else if (arg === '--rounds') opts.rounds = int(next(), 1);
+    else if (arg === '--roster') opts.roster = int(next(), 4);
+    else if (arg === '--courts') {
+      opts.courts = list(next()).map((c) => int(c, 1));
+      if (!opts.courts.length) throw new Error('--courts needs at least one court count');
+    } else if (arg === '--new-players') opts.newPlayers = num(next(), 0, 1);
+    else if (arg === '--k') opts.k = num(next(), 1);
+    else if (arg === '--partner-penalty') opts.partnerPenalty = num(next(), 0);
+    else if (arg === '--opponent-penalty') opts.opponentPenalty = num(next(), 0);
+    else if (arg === '--singles') opts.singles = true;
+    else if (arg === '--seed') opts.seed = int(next(), 0);
+    else if (arg === '--json') opts.json = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+
+  const unknown = opts.modes.filter((m) => !Object.values(MATCH_MODES).includes(m));
+  if (unknown.length) throw new Error(`Unknown mode(s): ${unknown.join(', ')}`);
+
+  return opts;
+}
+
+function checked(option, value, min, max, integer) {
+  const n = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(n) || (integer && !Number.isInteger(n))) {
+    throw new Error(`${option} needs ${integer ? 'a whole number' : 'a number'}, got ${value ?? 'nothing'}`);
+  }
+  if (n < min || n > max) {
+    const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+    throw new Error(`${option} must be ${range}, got ${n}`);
+  }
+  return n;
+}
+
+function normal(rng, mean, sd) {
+  const u = Math.max(rng(), Number.EPSILON);
+  const v = rng();
+  return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function makeRoster(opts, rng) {
+  return Array.from({ length: opts.roster }, (_, i) => {
+    const skill = normal(rng, SKILL_MEAN, SKILL_SD);
+    const isNew = rng() < opts.newPlayers;
+    return {
+      id: `p${i + 1}`,
+      name: `Player ${i + 1}`,
+      gender: rng() < 0.5 ? 'M' : 'F',
+      skill,
+      elo_rating: isNew ? 1000 : Math.round(normal(rng, skill, GUESS_SD)),
+      matches_played: isNew ? 0 : 20,
+      bench_count: 0,
+      last_played_round: 0,
+      is_present: false,
+    };
+  });
+}
+
+/**
+ * Who comes to each night: arrival round (1 = from the start) and the round
+ * after which they leave (Infinity = stay). Drawn once and shared by all modes.
+ */
+function makeNights(opts, rng) {
+  return Array.from({ length: opts.nights }, () => {
+    const courts = opts.courts[Math.floor(rng() * opts.courts.length)];
+    const attendance = new Map();
+
+    for (let i = 0; i < opts.roster; i++) {
+      if (rng() >= ATTENDANCE) continue;
+      const arrives = rng() < LATE_ARRIVAL ? 2 + Math.floor(rng() * 3) : 1;
+      const leaves = rng() < EARLY_DEPARTURE ? opts.rounds - 1 - Math.floor(rng() * 3) : Infinity;
+      attendance.set(`p${i + 1}`, { arrives, leaves: Math.max(leaves, arrives) });
+    }
+
+    return { courts, attendance, seed: Math.floor(rng() * 4294967296) };
+  });
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function stddev(values) {
+  const m = mean(values);
+  return Math.sqrt(mean(values.map((v) => (v - m) ** 2)));
+}
+
+/** Rating error against true skill, after removing the overall offset. */
+function ratingRmse(players) {
+  const offset = mean(players.map((p) => p.elo_rating - p.skill));
+  return Math.sqrt(mean(players.map((p) => (p.elo_rating - p.skill - offset) ** 2)));
+}
+
+function pairKey(a, b) {
+  return a.id < b.id ? `${a.id}|${b.id}` : `${b.id}|${a.id}`;
+}
+
+function runMode(mode, opts, roster, nights) {
+  const players = roster.map((p) => ({ ...p }));
+  const byId = new Map(players.map((p) => [p.id, p]));
+  const engine = new MatchmakingEngine({ mode });
+  const rmseStart = ratingRmse(players);
+
+  const spans = [];
+  const gaps = [];
+  const favourites = [];
+  const upsets = [];
+  const benchSd = [];
+  const gameSpread = []; // max - min share of their rounds each player got to play
+  let repeatPartners = 0;
+  let matches = 0;
+
+  for (const night of nights) {
+    engine.resetSession();
+    const rng = createRng(night.seed);
+    const outcomeRng = createRng(night.seed ^ 0x9e3779b9);
+    const arrivals = new Map();
+    const games = new Map();
+    const roundsHere = new Map();
+    const partners = new Set();
+    let lastRoundBenched = new Set();
+
+    for (const p of players) {
+      p.bench_count = 0;
+      p.last_played_round = 0;
+      p.is_present = false;
+    }
+
+    for (let round = 1; round <= opts.rounds; round++) {
+      for (const [id, a] of night.attendance) {
+        const p = byId.get(id);
+        const here = round >= a.arrives && round <= a.leaves;
+        if (here && !p.is_present && round > 1) arrivals.set(id, round);
+        if (!here) lastRoundBenched.delete(id);
+        p.is_present = here;
+      }
+
+      const present = players.filter((p) => p.is_present);
+      for (const p of present) roundsHere.set(p.id, (roundsHere.get(p.id) || 0) + 1);
+      const options = {
+        round,
+        rng,
+        arrivals,
+        latePriority: true,
+        normalizeBench: true,
+        allowSingles: opts.singles,
+        partnerPenalty: opts.partnerPenalty,
+        opponentPenalty: opts.opponentPenalty,
+      };
+
+      const { playing, benched } = engine.selectPlayersForRound(
+        present,
+        round,
+        lastRoundBenched,
+        night.courts,
+        options
+      );
+      const built = engine.buildMatchesFromPlayers(playing, night.courts, options);
+
+      for (const p of benched) byId.get(p.id).bench_count += 1;
+      lastRoundBenched = new Set(benched.map((p) => p.id));
+
+      for (const match of built) {
+        const team1 = match.team1.map((p) => byId.get(p.id));
+        const team2 = match.team2.map((p) => byId.get(p.id));
+        const truth = expectedScore(mean(team1.map((p) => p.skill)), mean(team2.map((p) => p.skill)));
+        const winner = outcomeRng() < truth ? 1 : 2;
+        const predicted = expectedScore(match.avg1, match.avg2);
+
+        spans.push(match.span);
+        gaps.push(Math.abs(match.avg1 - match.avg2));
+        favourites.push(Math.max(truth, 1 - truth));
+        upsets.push((predicted >= 0.5) !== (winner === 1) ? 1 : 0);
+        matches++;
+
+        for (const team of [team1, team2]) {
+          if (team.length !== 2) continue;
+          const key = pairKey(team[0], team[1]);
+          if (partners.has(key)) repeatPartners++;
+          partners.add(key);
+        }
+
+        for (const update of calculateMatchElo(match, winner, opts.k).updates) {
+          const p = byId.get(update.id);
+          p.elo_rating = update.new_elo;
+          p.matches_played += 1;
+          p.last_played_round = round;
+          games.set(p.id, (games.get(p.id) || 0) + 1);
+        }
+      }
+    }
+
+    const attended = players.filter((p) => night.attendance.has(p.id));
+    benchSd.push(stddev(attended.map((p) => p.bench_count)));
+    const rates = attended.map((p) => (games.get(p.id) || 0) / (roundsHere.get(p.id) || 1));
+    if (rates.length) gameSpread.push(Math.max(...rates) - Math.min(...rates));
+  }
+
+  const round1 = (n) => Math.round(n * 10) / 10;
+
+  return {
+    mode,
+    matches,
+    mean_span: round1(mean(spans)),
+    max_span: round1(Math.max(0, ...spans)),
+    mean_team_gap: round1(mean(gaps)),
+    true_favourite_pct: round1(mean(favourites) * 100),
+    upset_pct: round1(mean(upsets) * 100),
+    repeat_partners_per_night: round1(repeatPartners / nights.length),
+    bench_stddev: round1(mean(benchSd)),
+    play_share_spread: Math.round(mean(gameSpread) * 100) / 100,
+    rating_rmse_start: round1(rmseStart),
+    rating_rmse_end: round1(ratingRmse(players)),
+  };
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const worldRng = createRng(opts.seed);
+  const roster = makeRoster(opts, worldRng);
+  const nights = makeNights(opts, worldRng);
+
+  const results = opts.modes.map((mode) => runMode(mode, opts, roster, nights));
+
+  if (opts.json) {
+    console.log(JSON.stringify({ options: opts, results }, null, 2));
+    return;
+  }
+
+  console.log(
+    `${opts.nights} nights × ${opts.rounds} rounds, roster ${opts.roster}, courts ${opts.courts.join('/')}, K ${opts.k}, seed ${opts.seed}`
+  );
+  console.table(Object.fromEntries(results.map(({ mode, ...rest }) => [mode, rest])));
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`[simulate] ${err.message}`);
+  process.exitCode = 1;
+}
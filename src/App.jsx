@@ -1,13 +1,22 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import {
+  COURT_TAGS,
   MATCH_MODES,
-  buildMatchesFromPlayers,
+  REPEAT_OPPONENT_PENALTY,
+  REPEAT_PARTNER_PENALTY,
+  MatchmakingEngine,
+  PROVISIONAL_MATCHES,
+  SESSION_FORMATS,
+  assignCourts,
+  availablePlayers,
+  buildAmericanoSchedule,
   calculateMatchElo,
+  createRng,
   displayTier,
+  expectedScore,
   formatTime,
-  getMatchMode,
-  selectPlayersForRound,
-  setMatchMode,
+  isProvisional,
+  randomSeed,
 } from './logic';
 import './App.css';
 
@@ -15,6 +24,7 @@ import './App.css';
 
 const PLAYERS_API = '/.netlify/functions/players';
 const SESSIONS_API = '/.netlify/functions/sessions';
+const COURTS_API = '/.netlify/functions/courts';
 
 const APIClient = {
   async listPlayers() {
@@ -105,7 +115,7 @@ const APIClient = {
     return data;
   },
 
-  async startSession(players, adminKey = '') {
+  async startSession(players, adminKey = '', club = '') {
     const res = await fetch(SESSIONS_API, {
       method: 'POST',
       headers: {
@@ -115,6 +125,7 @@ const APIClient = {
       body: JSON.stringify({
         action: 'start_session',
         players,
+        ...(club ? { club } : {}),
       }),
     });
 
@@ -161,6 +172,90 @@ const APIClient = {
     return data;
   },
 
+  async logRoundBuilt(payload, adminKey = '') {
+    const res = await fetch(SESSIONS_API, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(adminKey ? { 'X-Admin-Key': adminKey } : {}),
+      },
+      body: JSON.stringify({
+        action: 'log_round_built',
+        ...payload,
+      }),
+    });
+
+    const text = await res.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = { message: text };
+    }
+
+    if (!res.ok) {
+      throw new Error(data?.error || data?.message || 'Failed to log round snapshot');
+    }
+
+    return data;
+  },
+
+  async saveFairnessState(payload, adminKey = '') {
+    const res = await fetch(SESSIONS_API, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(adminKey ? { 'X-Admin-Key': adminKey } : {}),
+      },
+      body: JSON.stringify({
+        action: 'save_fairness_state',
+        ...payload,
+      }),
+    });
+
+    const text = await res.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = { message: text };
+    }
+
+    if (!res.ok) {
+      throw new Error(data?.error || data?.message || 'Failed to save fairness state');
+    }
+
+    return data;
+  },
+
+  async recordAttendance(payload, adminKey = '') {
+    const res = await fetch(SESSIONS_API, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(adminKey ? { 'X-Admin-Key': adminKey } : {}),
+      },
+      body: JSON.stringify({
+        action: 'record_attendance',
+        ...payload,
+      }),
+    });
+
+    const text = await res.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = { message: text };
+    }
+
+    if (!res.ok) {
+      throw new Error(data?.error || data?.message || 'Failed to record attendance');
+    }
+
+    return data;
+  },
+
   async endSession(payload, adminKey = '') {
     const res = await fetch(SESSIONS_API, {
       method: 'POST',
@@ -206,6 +301,63 @@ const APIClient = {
     return Array.isArray(data) ? data : [];
   },
 
+  async getActiveSession(club) {
+    const res = await fetch(`${SESSIONS_API}?active=1&club=${encodeURIComponent(club)}`, {
+      method: 'GET',
+    });
+    const text = await res.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = {};
+    }
+
+    if (!res.ok) {
+      throw new Error(data?.error || data?.message || 'Failed to load active session');
+    }
+
+    return data;
+  },
+
+  async listCourts(club) {
+    const res = await fetch(`${COURTS_API}?club=${encodeURIComponent(club)}`, { method: 'GET' });
+    const text = await res.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = [];
+    }
+    if (!res.ok) throw new Error(data?.error || data?.message || 'Failed to load courts');
+    return Array.isArray(data) ? data : [];
+  },
+
+  async saveCourts(club, courts, adminKey = '') {
+    const res = await fetch(COURTS_API, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(adminKey ? { 'X-Admin-Key': adminKey } : {}),
+      },
+      body: JSON.stringify({ club, courts }),
+    });
+
+    const text = await res.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = { message: text };
+    }
+
+    if (!res.ok) {
+      throw new Error(data?.error || data?.message || 'Failed to save courts');
+    }
+
+    return data;
+  },
+
   async getSessionDetails(sessionId) {
     const res = await fetch(`${SESSIONS_API}?session_id=${encodeURIComponent(sessionId)}`, {
       method: 'GET',
@@ -231,11 +383,23 @@ const APIClient = {
 const LS = {
   getNum(key, def, min = -Infinity, max = Infinity) {
     try {
-      const value = Number(localStorage.getItem(key));
+      const raw = localStorage.getItem(key);
+      // Number(null) and Number('') are 0: a missing key must give the default.
+      if (raw === null || raw.trim() === '') return def;
+      const value = Number(raw);
       if (Number.isFinite(value)) return clamp(value, min, max);
     } catch {}
     return def;
   },
+  getOneOf(key, def, allowed) {
+    try {
+      const value = localStorage.getItem(key);
+      if (allowed.includes(value)) return value;
+    } catch {
+      // storage unavailable
+    }
+    return def;
+  },
   set(key, value) {
     try {
       localStorage.setItem(key, String(value));
@@ -243,6 +407,94 @@ const LS = {
   },
 };
 
+const COURTS_KEY = 'flo.courts.list';
+const MAX_COURTS = 24;
+
+function loadClub() {
+  try {
+    return localStorage.getItem('flo.club') || 'default';
+  } catch {
+    return 'default';
+  }
+}
+
+/** Court list kept by the admin's browser; 'flo.courts' is the old plain count. */
+function loadCourts() {
+  try {
+    const saved = normalizeCourts(JSON.parse(localStorage.getItem(COURTS_KEY)));
+    if (saved.length) return saved;
+  } catch {
+    // storage unavailable or unreadable
+  }
+  return numberedCourts(LS.getNum('flo.courts', 4, 1, MAX_COURTS));
+}
+
+function numberedCourts(count) {
+  return Array.from({ length: count }, (_, i) => ({ number: i + 1, name: `Court ${i + 1}`, tag: '' }));
+}
+
+function normalizeCourts(list) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  const out = [];
+  for (const c of list) {
+    const number = Number(c?.number);
+    if (!Number.isInteger(number) || number < 1 || seen.has(number)) continue;
+    seen.add(number);
+    out.push({
+      number,
+      name: String(c.name || '').trim() || `Court ${number}`,
+      tag: Object.values(COURT_TAGS).includes(c.tag) ? c.tag : '',
+    });
+  }
+  return out.slice(0, MAX_COURTS);
+}
+
+const ENGINE_KEY = 'flo.engine';
+const LEGACY_BIAS_KEY = 'flominton_bench_bias_v2';
+
+/** The engine is saved per club (hall), so tabs running different halls don't clash. */
+function engineKey(club) {
+  return `${ENGINE_KEY}.${club}`;
+}
+
+function loadEngine(club) {
+  let saved = null;
+  try {
+    saved = localStorage.getItem(engineKey(club)) || takeLegacyEngine();
+  } catch {
+    // storage unavailable
+  }
+  const engine = MatchmakingEngine.restore(saved);
+  engine.setMode(LS.getOneOf('match_mode', MATCH_MODES.WINDOW, Object.values(MATCH_MODES)));
+  return engine;
+}
+
+/**
+ * First load after the engine moved to per-club keys: take the old shared
+ * engine, or failing that the old bench bias map, and drop both keys so only
+ * the first club picks them up.
+ */
+function takeLegacyEngine() {
+  const engine = localStorage.getItem(ENGINE_KEY);
+  const bias = localStorage.getItem(LEGACY_BIAS_KEY);
+  localStorage.removeItem(ENGINE_KEY);
+  localStorage.removeItem(LEGACY_BIAS_KEY);
+
+  if (engine) return engine;
+  if (!bias) return null;
+  try {
+    const map = JSON.parse(bias);
+    return map && typeof map === 'object' ? { bias: map } : null;
+  } catch {
+    return null;
+  }
+}
+
+function saveEngine(engine, club) {
+  LS.set(engineKey(club), JSON.stringify(engine));
+}
+
 function clamp(n, min, max) {
   return Math.max(min, Math.min(max, n));
 }
@@ -260,6 +512,7 @@ function normalizePlayer(p) {
     name: String(p?.name || '').trim(),
     gender: p?.gender === 'F' ? 'F' : 'M',
     is_present: !!p?.is_present,
+    is_sitting_out: !!p?.is_present && !!p?.is_sitting_out,
     elo_rating: finalElo,
     skill_level:
       Number.isFinite(seededSkill) && seededSkill > 0
@@ -273,6 +526,10 @@ function normalizePlayer(p) {
     current_streak: Number(p?.current_streak) || 0,
     best_streak: Number(p?.best_streak) || 0,
     best_session_elo_gain: Number(p?.best_session_elo_gain) || 0,
+    always_partner_id: p?.always_partner_id || null,
+    never_pair_ids: Array.isArray(p?.never_pair_ids) ? p.never_pair_ids.filter(Boolean) : [],
+    max_consecutive_games: Math.max(0, Math.floor(Number(p?.max_consecutive_games) || 0)),
+    handedness: p?.handedness === 'L' || p?.handedness === 'R' ? p.handedness : 'unknown',
   };
 
   if (p?.created_at) player.created_at = p.created_at;
@@ -368,6 +625,39 @@ const TABS = {
   SETTINGS: 'settings',
 };
 
+const MODE_LABELS = {
+  [MATCH_MODES.WINDOW]: 'Window',
+  [MATCH_MODES.BAND]: 'Band',
+  [MATCH_MODES.OPTIMIZED]: 'Optimized',
+  [MATCH_MODES.MIXED]: 'Mixed',
+  [MATCH_MODES.LEVEL]: 'Level',
+};
+
+const SESSION_FORMAT_LABELS = {
+  [SESSION_FORMATS.STANDARD]: 'Standard',
+  [SESSION_FORMATS.LADDER]: 'King of the Court',
+  [SESSION_FORMATS.AMERICANO]: 'Americano',
+  [SESSION_FORMATS.MEXICANO]: 'Mexicano',
+};
+
+const COURT_TAG_LABELS = {
+  [COURT_TAGS.SHOW]: 'Show Court',
+  [COURT_TAGS.BEGINNERS]: 'Beginners Only',
+};
+
+// Formats where each court's points are entered and tallied per player.
+const POINTS_FORMATS = [SESSION_FORMATS.AMERICANO, SESSION_FORMATS.MEXICANO];
+
+// Formats where a court player can be swapped with the bench before a game;
+// Americano's partner schedule and the ladder's court positions would break.
+const SWAP_FORMATS = [SESSION_FORMATS.STANDARD, SESSION_FORMATS.MEXICANO];
+
+const COURT_FORMAT_LABELS = {
+  MD: "Men's Doubles",
+  WD: "Women's Doubles",
+  open: 'Open',
+};
+
 const PHASES = {
   IDLE: 'idle',
   PRE_ROUND: 'pre_round',
@@ -386,7 +676,20 @@ export default function App() {
   const [adminKey, setAdminKey] = useState(() => sessionStorage.getItem('adminKey') || '');
   const isAdmin = !!adminKey;
 
-  const [matchMode, setMatchModeState] = useState(() => getMatchMode());
+  const [matchMode, setMatchModeState] = useState(() =>
+    LS.getOneOf('match_mode', MATCH_MODES.WINDOW, Object.values(MATCH_MODES))
+  );
+  const [allowSingles, setAllowSingles] = useState(LS.getNum('flo.singles', 0, 0, 1) === 1);
+  const [latePriority, setLatePriority] = useState(LS.getNum('flo.late.priority', 1, 0, 1) === 1);
+  const [normalizeBench, setNormalizeBench] = useState(
+    LS.getNum('flo.bench.normalize', 1, 0, 1) === 1
+  );
+  const [previewRounds, setPreviewRounds] = useState(LS.getNum('flo.preview', 0, 0, 1) === 1);
+  const [preferMixedHands, setPreferMixedHands] = useState(LS.getNum('flo.hands', 0, 0, 1) === 1);
+  const [roundPreview, setRoundPreview] = useState(null);
+  const [sessionFormat, setSessionFormat] = useState(
+    LS.getOneOf('flo.session.format', SESSION_FORMATS.STANDARD, Object.values(SESSION_FORMATS))
+  );
 
   const [matchMinutes, setMatchMinutes] = useState(LS.getNum('flo.match.minutes', 10, 1, 60));
   const [warningSeconds, setWarningSeconds] = useState(LS.getNum('flo.warning.seconds', 30, 5, 120));
@@ -396,8 +699,21 @@ export default function App() {
   const [preRoundSeconds, setPreRoundSeconds] = useState(
     LS.getNum('flo.preround.seconds', 30, 5, 180)
   );
-  const [courtsCount, setCourtsCount] = useState(LS.getNum('flo.courts', 4, 1, 6));
+  const [club, setClub] = useState(loadClub);
+  const [clubInput, setClubInput] = useState(club);
+  const [courts, setCourts] = useState(loadCourts);
+  // 'loading' until the club's court list has come back from the server;
+  // saving waits for it so one club's list never lands on another.
+  const [courtsStatus, setCourtsStatus] = useState('loading');
+  const [resumableSession, setResumableSession] = useState(null);
+  const [blockedCourts, setBlockedCourts] = useState([]);
   const [kFactor, setKFactor] = useState(LS.getNum('flo.kfactor', 24, 8, 200));
+  const [partnerPenalty, setPartnerPenalty] = useState(
+    LS.getNum('flo.repeat.partner', REPEAT_PARTNER_PENALTY, 0, 400)
+  );
+  const [opponentPenalty, setOpponentPenalty] = useState(
+    LS.getNum('flo.repeat.opponent', REPEAT_OPPONENT_PENALTY, 0, 400)
+  );
   const [volume, setVolume] = useState(LS.getNum('flo.volume', 100, 0, 100));
 
   const volumeRef = useRef(volume);
@@ -405,6 +721,7 @@ export default function App() {
 
   const [sessionActive, setSessionActive] = useState(false);
   const [activeSessionId, setActiveSessionId] = useState(null);
+  const activeSessionIdRef = useRef(null);
 
   const [running, setRunning] = useState(false);
   const [phase, setPhase] = useState(PHASES.IDLE);
@@ -414,6 +731,8 @@ export default function App() {
   const [matches, setMatches] = useState([]);
   const [benched, setBenched] = useState([]);
   const [winnerSelections, setWinnerSelections] = useState({});
+  const [pointSelections, setPointSelections] = useState({});
+  const [sessionPoints, setSessionPoints] = useState({});
   const [sessionHistory, setSessionHistory] = useState([]);
   const [sessionSummary, setSessionSummary] = useState(null);
 
@@ -429,15 +748,24 @@ export default function App() {
   const [newPlayerGender, setNewPlayerGender] = useState('M');
   const [newPlayerElo, setNewPlayerElo] = useState(1000);
 
-  const teammateHistory = useRef(new Map());
+  const engineRef = useRef(null);
+  if (!engineRef.current) engineRef.current = loadEngine(club);
   const lastRoundBenched = useRef(new Set());
+  const arrivalRoundsRef = useRef(new Map());
   const sessionEloGainRef = useRef(new Map());
+  const americanoScheduleRef = useRef(null);
+  const roundSeedRef = useRef(null);
+  const previousPlayedRoundRef = useRef(new Map());
+  const roundStartEngineRef = useRef(null);
 
   const playersRef = useRef(players);
   const matchesRef = useRef(matches);
   const winnerSelectionsRef = useRef(winnerSelections);
+  const pointSelectionsRef = useRef(pointSelections);
+  const sessionPointsRef = useRef(sessionPoints);
   const phaseRef = useRef(phase);
   const roundNumberRef = useRef(roundNumber);
+  const clubRef = useRef(club);
 
   useEffect(() => {
     playersRef.current = players;
@@ -451,6 +779,18 @@ export default function App() {
     winnerSelectionsRef.current = winnerSelections;
   }, [winnerSelections]);
 
+  useEffect(() => {
+    pointSelectionsRef.current = pointSelections;
+  }, [pointSelections]);
+
+  useEffect(() => {
+    sessionPointsRef.current = sessionPoints;
+  }, [sessionPoints]);
+
+  useEffect(() => {
+    clubRef.current = club;
+  }, [club]);
+
   useEffect(() => {
     phaseRef.current = phase;
   }, [phase]);
@@ -474,16 +814,74 @@ export default function App() {
       } finally {
         setLoading(false);
       }
+
     })();
   }, []);
 
+  useEffect(() => {
+    let cancelled = false;
+    setCourtsStatus('loading');
+
+    (async () => {
+      try {
+        const saved = normalizeCourts(await APIClient.listCourts(club));
+        if (cancelled) return;
+        if (saved.length) {
+          setCourts(saved);
+          LS.set(COURTS_KEY, JSON.stringify(saved));
+        }
+        setCourtsStatus('ready');
+      } catch (err) {
+        console.error(err);
+        if (!cancelled) setCourtsStatus('error');
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [club]);
+
+  // An active session left open for this club is offered to the admin to
+  // resume; nothing is adopted until they choose to.
+  useEffect(() => {
+    let cancelled = false;
+    setResumableSession(null);
+
+    (async () => {
+      try {
+        const active = await APIClient.getActiveSession(club);
+        if (!cancelled && active?.session && !activeSessionIdRef.current) {
+          setResumableSession({ session: active.session, players: active.session_players || [] });
+        }
+      } catch (err) {
+        console.error(err);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [club]);
+
   useEffect(() => {
     if (tab !== TABS.HISTORY) return;
     loadHistorySessions();
   }, [tab]);
 
   const presentPlayers = useMemo(
-    () => players.filter((p) => p.is_present).sort((a, b) => a.name.localeCompare(b.name)),
+    () =>
+      players
+        .filter((p) => p.is_present && !p.is_sitting_out)
+        .sort((a, b) => a.name.localeCompare(b.name)),
+    [players]
+  );
+
+  const sittingOutPlayers = useMemo(
+    () =>
+      players
+        .filter((p) => p.is_present && p.is_sitting_out)
+        .sort((a, b) => a.name.localeCompare(b.name)),
     [players]
   );
 
@@ -509,6 +907,10 @@ export default function App() {
     return 'Idle';
   }, [phase]);
 
+  // Singles courts only exist in the standard format.
+  const minPlayersForRound =
+    allowSingles && sessionFormat === SESSION_FORMATS.STANDARD ? 2 : 4;
+
   const warningActive =
     phase === PHASES.MATCH && running && phaseRemaining <= warningSeconds && phaseRemaining > 0;
 
@@ -590,65 +992,282 @@ export default function App() {
 
   /* ================= Session building ================= */
 
-  async function buildRoundAndEnterPreRound() {
+  /**
+   * Pick up a session left running on another device (or before a reload):
+   * fairness pressure, pair history, bench bias, bench counts, last round's
+   * bench and late arrivals come from the server copy saved after each round.
+   * Only runs when the admin chooses to resume.
+   */
+  function adoptActiveSession({ session, players: sessionPlayers }) {
+    // The server is the source of truth for session players, zero bias too;
+    // local bias only stays for players outside the session.
+    const bias = { ...engineRef.current.bias };
+    const benchCounts = new Map();
+    for (const row of sessionPlayers) {
+      const value = Number(row.bench_bias) || 0;
+      if (value > 0) bias[row.player_id] = value;
+      else delete bias[row.player_id];
+      benchCounts.set(row.player_id, Number(row.benched_count || 0));
+    }
+
+    engineRef.current = new MatchmakingEngine({
+      mode: engineRef.current.getMode(),
+      fairness_pressure: session.fairness_pressure,
+      fairness_pressure_rounds: session.fairness_pressure_rounds,
+      pair_history: session.pair_history,
+      bias,
+    });
+    saveEngine(engineRef.current, clubRef.current);
+
+    setActiveSessionId(session.id);
+    activeSessionIdRef.current = session.id;
+    setRoundNumber(Number(session.rounds_played || 0));
+    roundNumberRef.current = Number(session.rounds_played || 0);
+    lastRoundBenched.current = new Set(
+      Array.isArray(session.last_round_benched) ? session.last_round_benched : []
+    );
+    arrivalRoundsRef.current = new Map(Array.isArray(session.arrivals) ? session.arrivals : []);
+    setSessionActive(true);
+    setRunning(false);
+    setResumableSession(null);
+
+    setPlayers((prev) =>
+      prev.map((p) =>
+        benchCounts.has(p.id) ? { ...p, bench_count: benchCounts.get(p.id) } : p
+      )
+    );
+  }
+
+  async function saveFairnessState(roundPlayers) {
+    const sessionId = activeSessionIdRef.current;
+    if (!sessionId) return;
+
+    const state = engineRef.current.toJSON();
+
+    try {
+      await APIClient.saveFairnessState(
+        {
+          session_id: sessionId,
+          fairness_pressure: state.fairness_pressure,
+          fairness_pressure_rounds: state.fairness_pressure_rounds,
+          pair_history: state.pair_history,
+          last_round_benched: [...lastRoundBenched.current],
+          arrivals: [...arrivalRoundsRef.current],
+          players: roundPlayers.map((p) => ({
+            player_id: p.id,
+            elo_rating: p.elo_rating,
+            bench_bias: state.bias[p.id] || 0,
+            benched_count: Number(p.bench_count || 0),
+          })),
+        },
+        adminKey
+      );
+    } catch (err) {
+      console.error(err);
+      alert(`Failed to save fairness state: ${err.message}`);
+    }
+  }
+
+  async function saveRoundSnapshot(snapshot) {
+    const sessionId = activeSessionIdRef.current;
+    if (!sessionId) return;
+
+    try {
+      await APIClient.logRoundBuilt(
+        {
+          session_id: sessionId,
+          round_number: snapshot.round,
+          round_seed: snapshot.seed,
+          snapshot,
+        },
+        adminKey
+      );
+    } catch (err) {
+      console.error(err);
+      alert(`Failed to save round snapshot: ${err.message}`);
+    }
+  }
+
+  /**
+   * Everything a round build reads besides the engine: the present roster,
+   * pins, settings, courts in use and the format's running state. Stored
+   * with each built round so it can be rebuilt later (see replayRound).
+   */
+  function roundInputs(currentPlayers, pins = {}) {
+    return {
+      players: currentPlayers,
+      pins,
+      mode: engineRef.current.getMode(),
+      format: sessionFormat,
+      courts: availableCourts(courts, blockedCourts),
+      partner_penalty: partnerPenalty,
+      opponent_penalty: opponentPenalty,
+      late_priority: latePriority,
+      normalize_bench: normalizeBench,
+      allow_singles: allowSingles,
+      handedness: preferMixedHands,
+      last_round_benched: [...lastRoundBenched.current],
+      arrivals: [...arrivalRoundsRef.current],
+      ...(sessionFormat === SESSION_FORMATS.AMERICANO
+        ? { americano_schedule: americanoScheduleRef.current }
+        : {}),
+      ...(sessionFormat === SESSION_FORMATS.MEXICANO
+        ? { session_points: sessionPointsRef.current }
+        : {}),
+      ...(sessionFormat === SESSION_FORMATS.LADDER
+        ? { previous_matches: matchesRef.current, winners: winnerSelectionsRef.current }
+        : {}),
+    };
+  }
+
+  /**
+   * Build the next round on a copy of the engine, so a preview can be thrown
+   * away and regenerated without moving fairness state on. Returns null (after
+   * telling the admin why) when no round can be built.
+   */
+  function draftRound(pins = {}) {
     const currentPlayers = playersRef.current.filter((p) => p.is_present);
 
-    if (currentPlayers.length < 4) {
-      alert('At least 4 players must be present.');
+    if (availablePlayers(currentPlayers).length < minPlayersForRound) {
+      alert(`At least ${minPlayersForRound} players must be present and not sitting out.`);
       stopSessionClock();
-      return;
+      return null;
     }
 
-    const nextRound = roundNumberRef.current + 1;
-    const { playing, benched: nextBenched } = selectPlayersForRound(
+    if (!availableCourts(courts, blockedCourts).length) {
+      alert('Every court is blocked. Bring a court back into use first.');
+      stopSessionClock();
+      return null;
+    }
+
+    const snapshot = {
+      round: roundNumberRef.current + 1,
+      seed: randomSeed(),
+      engine: engineRef.current.toJSON(),
+      inputs: roundInputs(currentPlayers, pins),
+    };
+    const { round: nextRound, seed } = snapshot;
+    const engine = MatchmakingEngine.restore(snapshot.engine);
+    const built = buildRoundFromInputs(engine, snapshot.inputs, nextRound, seed);
+
+    if (built.playing.length < minPlayersForRound) {
+      alert(built.message || 'Not enough players available to build a valid round.');
+      stopSessionClock();
+      return null;
+    }
+
+    if (!built.matches.length) {
+      alert('Could not build matches.');
+      stopSessionClock();
+      return null;
+    }
+
+    return {
+      ...built,
+      round: nextRound,
+      seed,
+      engine,
+      snapshot,
       currentPlayers,
-      nextRound,
-      lastRoundBenched.current,
-      courtsCount
-    );
+      builtPins: pins,
+      pins,
+    };
+  }
 
-    if (playing.length < 4) {
-      alert('Not enough players available to build a valid round.');
+  async function buildRoundAndEnterPreRound() {
+    const draft = draftRound();
+    if (!draft) return;
+
+    if (previewRounds && isAdmin) {
       stopSessionClock();
+      setRoundPreview(draft);
       return;
     }
 
-    const builtMatches = buildMatchesFromPlayers(playing, teammateHistory.current, courtsCount);
+    await commitRound(draft);
+  }
 
-    if (!builtMatches.length) {
-      alert('Could not build matches.');
-      stopSessionClock();
+  function pinPlayer(playerId, value) {
+    setRoundPreview((prev) => {
+      if (!prev) return prev;
+      const pins = { ...prev.pins };
+      if (!value) delete pins[playerId];
+      else pins[playerId] = value === 'bench' ? 'bench' : Number(value);
+      return { ...prev, pins };
+    });
+  }
+
+  function regenerateRound() {
+    if (!roundPreview) return;
+    const draft = draftRound(roundPreview.pins);
+    if (draft) setRoundPreview(draft);
+  }
+
+  async function confirmRound() {
+    if (!roundPreview) return;
+
+    // Never start a round the admin hasn't seen: changed pins rebuild the
+    // preview and wait for another confirm.
+    if (previewPinsChanged(roundPreview)) {
+      regenerateRound();
       return;
     }
 
+    const draft = roundPreview;
+    setRoundPreview(null);
+    await commitRound(draft);
+  }
+
+  async function commitRound(draft) {
+    const {
+      playing,
+      benched: nextBenched,
+      matches: builtMatches,
+      round: nextRound,
+      seed,
+      snapshot,
+      currentPlayers,
+      pins,
+    } = draft;
+
     const playingIds = new Set(playing.map((p) => p.id));
     const benchedIds = new Set(nextBenched.map((p) => p.id));
 
-    setPlayers((prev) =>
-      prev.map((p) => {
-        if (playingIds.has(p.id)) {
-          return {
-            ...p,
-            bench_count: Number(p.bench_count || 0),
-            last_played_round: nextRound,
-          };
-        }
-        if (benchedIds.has(p.id)) {
-          return {
-            ...p,
-            bench_count: Number(p.bench_count || 0) + 1,
-          };
-        }
-        return p;
-      })
+    const roundPlayers = currentPlayers.map((p) => {
+      if (playingIds.has(p.id)) {
+        return {
+          ...p,
+          bench_count: Number(p.bench_count || 0),
+          last_played_round: nextRound,
+        };
+      }
+      if (benchedIds.has(p.id)) {
+        return {
+          ...p,
+          bench_count: Number(p.bench_count || 0) + 1,
+        };
+      }
+      return p;
+    });
+    const roundPlayerMap = new Map(roundPlayers.map((p) => [p.id, p]));
+    previousPlayedRoundRef.current = new Map(
+      currentPlayers.map((p) => [p.id, Number(p.last_played_round || 0)])
     );
 
+    setPlayers((prev) => prev.map((p) => roundPlayerMap.get(p.id) || p));
+
     setRoundNumber(nextRound);
     roundNumberRef.current = nextRound;
+    roundSeedRef.current = seed;
+    roundStartEngineRef.current = snapshot.engine;
+    engineRef.current = draft.engine;
+    saveEngine(engineRef.current, clubRef.current);
+    if (draft.schedule) americanoScheduleRef.current = draft.schedule;
 
     setMatches(builtMatches);
     setBenched(nextBenched);
     setWinnerSelections({});
+    setPointSelections({});
     lastRoundBenched.current = new Set(nextBenched.map((b) => b.id));
 
     setSessionHistory((prev) => [
@@ -656,25 +1275,28 @@ export default function App() {
       {
         type: 'round_built',
         round: nextRound,
+        seed,
+        snapshot,
+        mode: engineRef.current.getMode(),
+        format: sessionFormat,
+        ...(Object.keys(pins).length ? { pins } : {}),
         created_at: new Date().toISOString(),
-        matches: builtMatches.map((m) => ({
-          court: m.court,
-          team1: m.team1.map((p) => p.name),
-          team2: m.team2.map((p) => p.name),
-          avg1: Math.round(m.avg1),
-          avg2: Math.round(m.avg2),
-        })),
+        matches: builtMatches.map(builtMatchEntry),
       },
     ]);
 
     setPhase(PHASES.PRE_ROUND);
     setPhaseRemaining(preRoundSeconds);
     setRunning(true);
+
+    await saveFairnessState(roundPlayers);
+    await saveRoundSnapshot(snapshot);
   }
 
   async function resolveCurrentRoundAndAdvance() {
     const currentMatches = matchesRef.current;
     const selectedWinners = winnerSelectionsRef.current;
+    const selectedPoints = pointSelectionsRef.current;
 
     if (!currentMatches.length) {
       stopSessionClock();
@@ -685,9 +1307,18 @@ export default function App() {
     const patchUpdates = [];
     const roundLog = [];
     const dbRoundResults = [];
+    const nextSessionPoints = { ...sessionPointsRef.current };
 
     for (const match of currentMatches) {
       const winner = Number(selectedWinners[match.court] || 0);
+      const points = readCourtPoints(selectedPoints[match.court]);
+      const pointLog = points ? { points1: points.team1, points2: points.team2 } : {};
+      const dbPoints = points ? { team1_score: points.team1, team2_score: points.team2 } : {};
+
+      if (points) {
+        tallySessionPoints(nextSessionPoints, match.team1, points.team1);
+        tallySessionPoints(nextSessionPoints, match.team2, points.team2);
+      }
 
       if (winner !== 1 && winner !== 2) {
         roundLog.push({
@@ -699,6 +1330,7 @@ export default function App() {
           team2: match.team2.map((p) => p.name),
           avg1: Math.round(match.avg1),
           avg2: Math.round(match.avg2),
+          ...pointLog,
         });
 
         dbRoundResults.push({
@@ -707,6 +1339,8 @@ export default function App() {
           winner_team: null,
           team1_avg_elo: Math.round(match.avg1),
           team2_avg_elo: Math.round(match.avg2),
+          ...dbPoints,
+          explain: match.explain || null,
           players: [
             ...match.team1.map((p) => ({
               player_id: p.id,
@@ -781,6 +1415,7 @@ export default function App() {
         team2: match.team2.map((p) => p.name),
         avg1: Math.round(match.avg1),
         avg2: Math.round(match.avg2),
+        ...pointLog,
         delta_team1: eloResult.delta1,
         delta_team2: eloResult.delta2,
       });
@@ -791,6 +1426,8 @@ export default function App() {
         winner_team: winner,
         team1_avg_elo: Math.round(match.avg1),
         team2_avg_elo: Math.round(match.avg2),
+        ...dbPoints,
+        explain: match.explain || null,
         players: [
           ...match.team1.map((p) => {
             const updated = eloResult.updates.find((u) => u.id === p.id);
@@ -820,6 +1457,8 @@ export default function App() {
 
     const nextPlayers = Array.from(playerMap.values()).map(normalizePlayer);
     setPlayers(nextPlayers);
+    setSessionPoints(nextSessionPoints);
+    sessionPointsRef.current = nextSessionPoints;
 
     setSessionHistory((prev) => [
       ...prev,
@@ -846,6 +1485,7 @@ export default function App() {
           {
             session_id: activeSessionId,
             round_number: roundNumberRef.current,
+            round_seed: roundSeedRef.current,
             results: dbRoundResults,
           },
           adminKey
@@ -857,7 +1497,7 @@ export default function App() {
     }
 
     const refreshedPresent = nextPlayers.filter((p) => p.is_present);
-    if (refreshedPresent.length < 4) {
+    if (availablePlayers(refreshedPresent).length < minPlayersForRound) {
       stopSessionClock();
       return;
     }
@@ -875,17 +1515,31 @@ export default function App() {
 
   async function startSession() {
     await unlockAudio();
+
+    if (roundPreview) {
+      alert('Confirm the round preview first.');
+      return;
+    }
   
     const currentPresent = playersRef.current.filter((p) => p.is_present);
-    if (currentPresent.length < 4) {
-      alert('At least 4 players must be present before starting the session.');
+    if (availablePlayers(currentPresent).length < minPlayersForRound) {
+      alert(
+        `At least ${minPlayersForRound} players must be present and not sitting out before starting the session.`
+      );
       return;
     }
   
     if (!activeSessionId) {
       try {
-        const data = await APIClient.startSession(currentPresent, adminKey);
+        const bias = engineRef.current.bias;
+        const startedAt = new Date().toISOString();
+        const data = await APIClient.startSession(
+          currentPresent.map((p) => ({ ...p, bench_bias: bias[p.id] || 0, arrived_at: startedAt })),
+          adminKey,
+          club
+        );
         setActiveSessionId(data?.session?.id || null);
+        activeSessionIdRef.current = data?.session?.id || null;
       } catch (err) {
         console.error(err);
         alert(`Failed to create session: ${err.message}`);
@@ -910,10 +1564,15 @@ export default function App() {
  async function resumeSession() {
   await unlockAudio();
 
-  if (!sessionActive) {
+  // A resumed session has no round on court yet: start builds the next one.
+  if (!sessionActive || (phase === PHASES.IDLE && !matches.length)) {
     startSession();
     return;
   }
+  if (roundPreview) {
+    alert('Confirm the round preview first.');
+    return;
+  }
   if (phase === PHASES.IDLE && matches.length) {
     setPhase(PHASES.PRE_ROUND);
     setPhaseRemaining(preRoundSeconds);
@@ -926,6 +1585,10 @@ export default function App() {
       alert('Start the session first.');
       return;
     }
+    if (roundPreview) {
+      alert('Confirm the round preview first.');
+      return;
+    }
     setRunning(false);
     await resolveCurrentRoundAndAdvance();
   }
@@ -939,13 +1602,15 @@ export default function App() {
       sessionHistory,
       roundNumberRef.current
     );
-    setSessionSummary(summary);
+    const qualityReport = buildQualityReport(currentPlayers.filter((p) => p.is_present), sessionHistory);
+    setSessionSummary({ ...summary, quality: qualityReport });
 
     const bestSessionUpdates = currentPlayers.map((player) => {
       const gain = Number(sessionEloGainRef.current.get(player.id) || 0);
       return {
         id: player.id,
         is_present: false,
+        is_sitting_out: false,
         bench_count: 0,
         last_played_round: 0,
         best_session_elo_gain: Math.max(Number(player.best_session_elo_gain || 0), gain),
@@ -971,6 +1636,7 @@ export default function App() {
             session_id: activeSessionId,
             rounds_played: roundNumberRef.current,
             player_summaries: playerSummaries,
+            quality_report: qualityReport,
           },
           adminKey
         );
@@ -984,6 +1650,7 @@ export default function App() {
       prev.map((p) => ({
         ...p,
         is_present: false,
+        is_sitting_out: false,
         bench_count: 0,
         last_played_round: 0,
         best_session_elo_gain: Math.max(
@@ -1002,6 +1669,7 @@ export default function App() {
 
     setSessionActive(false);
     setActiveSessionId(null);
+    activeSessionIdRef.current = null;
     setRunning(false);
     setPhase(PHASES.IDLE);
     setPhaseRemaining(0);
@@ -1010,9 +1678,17 @@ export default function App() {
     setMatches([]);
     setBenched([]);
     setWinnerSelections({});
-    teammateHistory.current = new Map();
+    engineRef.current.resetSession();
+    saveEngine(engineRef.current, clubRef.current);
     lastRoundBenched.current = new Set();
+    arrivalRoundsRef.current = new Map();
     sessionEloGainRef.current = new Map();
+    americanoScheduleRef.current = null;
+    roundSeedRef.current = null;
+    setRoundPreview(null);
+    setBlockedCourts([]);
+    setPointSelections({});
+    setSessionPoints({});
     setSessionHistory([]);
     setTab(TABS.HOME);
   }
@@ -1021,15 +1697,153 @@ export default function App() {
     const nextValue = !player.is_present;
 
     setPlayers((prev) =>
-      prev.map((p) => (p.id === player.id ? { ...p, is_present: nextValue } : p))
+      prev.map((p) =>
+        p.id === player.id ? { ...p, is_present: nextValue, is_sitting_out: false } : p
+      )
     );
 
     try {
-      await APIClient.patchPlayers([{ id: player.id, is_present: nextValue }], adminKey);
+      await APIClient.patchPlayers(
+        [{ id: player.id, is_present: nextValue, is_sitting_out: false }],
+        adminKey
+      );
     } catch (err) {
       console.error(err);
       alert(`Failed to save presence change: ${err.message}`);
     }
+
+    if (roundNumberRef.current > 0) await recordAttendance(player, nextValue);
+  }
+
+  /**
+   * Mid-session arrival or departure: arrivals are remembered by round for
+   * the late-arrival policy, departures drop out of last round's bench.
+   */
+  async function recordAttendance(player, arrived) {
+    if (arrived) {
+      arrivalRoundsRef.current.set(player.id, roundNumberRef.current + 1);
+    } else {
+      arrivalRoundsRef.current.delete(player.id);
+      lastRoundBenched.current.delete(player.id);
+    }
+
+    const sessionId = activeSessionIdRef.current;
+    if (!sessionId) return;
+
+    try {
+      await APIClient.recordAttendance(
+        {
+          session_id: sessionId,
+          player_id: player.id,
+          event: arrived ? 'arrive' : 'depart',
+          at: new Date().toISOString(),
+          elo_rating: player.elo_rating,
+        },
+        adminKey
+      );
+    } catch (err) {
+      console.error(err);
+      alert(`Failed to record attendance: ${err.message}`);
+    }
+  }
+
+  async function toggleSittingOut(player) {
+    const nextValue = !player.is_sitting_out;
+
+    setPlayers((prev) =>
+      prev.map((p) => (p.id === player.id ? { ...p, is_sitting_out: nextValue } : p))
+    );
+
+    try {
+      await APIClient.patchPlayers([{ id: player.id, is_sitting_out: nextValue }], adminKey);
+    } catch (err) {
+      console.error(err);
+      alert(`Failed to save sitting out change: ${err.message}`);
+    }
+  }
+
+  function toggleCourtBlocked(court) {
+    setBlockedCourts((prev) =>
+      prev.includes(court) ? prev.filter((c) => c !== court) : [...prev, court].sort((a, b) => a - b)
+    );
+  }
+
+  /**
+   * Pre-game swap of a court player with a benched one: the match is
+   * re-averaged and both players' bench count, last played round, engine bias,
+   * play streak and pair history are put back as if the round had been built
+   * that way.
+   */
+  async function swapWithBench(courtPlayerId, benchPlayerId) {
+    if (phase !== PHASES.PRE_ROUND || !SWAP_FORMATS.includes(sessionFormat)) return;
+
+    const match = matches.find((m) =>
+      [...m.team1, ...m.team2].some((p) => p.id === courtPlayerId)
+    );
+    const incoming = benched.find((p) => p.id === benchPlayerId);
+    if (!match || !incoming) return;
+
+    const outgoing = [...match.team1, ...match.team2].find((p) => p.id === courtPlayerId);
+    const round = roundNumberRef.current;
+
+    const nextMatches = engineRef.current.swapPlayer(
+      matches,
+      courtPlayerId,
+      incoming,
+      roundStartEngineRef.current,
+      { round, partnerPenalty, opponentPenalty }
+    );
+    saveEngine(engineRef.current, clubRef.current);
+
+    setMatches(nextMatches);
+    setBenched((prev) => prev.map((p) => (p.id === benchPlayerId ? outgoing : p)));
+
+    lastRoundBenched.current.delete(benchPlayerId);
+    lastRoundBenched.current.add(courtPlayerId);
+
+    const nextPlayers = playersRef.current.map((p) => {
+      if (p.id === benchPlayerId) {
+        return {
+          ...p,
+          bench_count: Math.max(0, Number(p.bench_count || 0) - 1),
+          last_played_round: round,
+        };
+      }
+      if (p.id === courtPlayerId) {
+        return {
+          ...p,
+          bench_count: Number(p.bench_count || 0) + 1,
+          last_played_round: previousPlayedRoundRef.current.get(p.id) ?? 0,
+        };
+      }
+      return p;
+    });
+    setPlayers(nextPlayers);
+
+    // The built round is recorded as it will be played, swap included.
+    const swapped = nextMatches.find((m) => m.court === match.court);
+    setSessionHistory((prev) => [
+      ...prev.map((entry) =>
+        entry.type === 'round_built' && entry.round === round
+          ? {
+              ...entry,
+              matches: entry.matches.map((m) =>
+                m.court === match.court ? builtMatchEntry(swapped) : m
+              ),
+            }
+          : entry
+      ),
+      {
+        type: 'player_swap',
+        round,
+        court: match.court,
+        created_at: new Date().toISOString(),
+        out: outgoing.name,
+        in: incoming.name,
+      },
+    ]);
+
+    await saveFairnessState(nextPlayers.filter((p) => p.is_present));
   }
 
   function setWinner(court, team) {
@@ -1046,6 +1860,24 @@ export default function App() {
       ...prev,
       [court]: 0,
     }));
+    setPointSelections((prev) => {
+      const next = { ...prev };
+      delete next[court];
+      return next;
+    });
+  }
+
+  function setCourtPoints(court, team, value) {
+    if (phase !== PHASES.TRANSITION) return;
+
+    const current = { ...(pointSelections[court] || {}), [team]: value };
+    setPointSelections((prev) => ({ ...prev, [court]: current }));
+
+    const points = readCourtPoints(current);
+    setWinnerSelections((prev) => ({
+      ...prev,
+      [court]: !points || points.team1 === points.team2 ? 0 : points.team1 > points.team2 ? 1 : 2,
+    }));
   }
 
   async function addPlayer() {
@@ -1146,16 +1978,67 @@ export default function App() {
     alert('Admin mode disabled.');
   }
 
-  function saveSettings() {
+  async function saveSettings() {
+    if (courtsStatus === 'loading') {
+      alert(`The court list for ${club} is still loading. Try again in a moment.`);
+      return;
+    }
+
+    const nextClub = clubInput.trim() || 'default';
+    const clubChanged = nextClub !== club;
+
+    if (clubChanged && sessionActive) {
+      alert('End the current session before switching club.');
+      return;
+    }
+    setClubInput(nextClub);
+
     LS.set('flo.match.minutes', matchMinutes);
     LS.set('flo.warning.seconds', warningSeconds);
     LS.set('flo.transition.seconds', transitionSeconds);
     LS.set('flo.preround.seconds', preRoundSeconds);
-    LS.set('flo.courts', courtsCount);
+    LS.set(COURTS_KEY, JSON.stringify(courts));
+    LS.set('flo.club', nextClub);
     LS.set('flo.kfactor', kFactor);
+    LS.set('flo.repeat.partner', partnerPenalty);
+    LS.set('flo.repeat.opponent', opponentPenalty);
     LS.set('flo.volume', volume);
     LS.set('match_mode', matchMode);
-    setMatchMode(matchMode);
+    LS.set('flo.session.format', sessionFormat);
+    LS.set('flo.singles', allowSingles ? 1 : 0);
+    LS.set('flo.late.priority', latePriority ? 1 : 0);
+    LS.set('flo.bench.normalize', normalizeBench ? 1 : 0);
+    LS.set('flo.preview', previewRounds ? 1 : 0);
+    LS.set('flo.hands', preferMixedHands ? 1 : 0);
+    engineRef.current.setMode(matchMode);
+    saveEngine(engineRef.current, club);
+
+    // Each club (hall) keeps its own engine: park this one, pick up the new club's.
+    if (clubChanged) {
+      engineRef.current = loadEngine(nextClub);
+      clubRef.current = nextClub;
+    }
+
+    // A new club loads its own court list; the one on screen belongs to the old club.
+    if (clubChanged) {
+      setClub(nextClub);
+      alert(`Settings saved. Loading the court list for ${nextClub}.`);
+      return;
+    }
+
+    if (courtsStatus === 'error') {
+      alert(`Settings saved on this device, but the court list for ${club} could not be loaded, so it was not saved.`);
+      return;
+    }
+
+    try {
+      await APIClient.saveCourts(club, courts, adminKey);
+    } catch (err) {
+      console.error(err);
+      alert(`Settings saved on this device, but the court list could not be saved: ${err.message}`);
+      return;
+    }
+
     alert('Settings saved.');
   }
 
@@ -1217,10 +2100,15 @@ export default function App() {
           warningSeconds={warningSeconds}
           transitionSeconds={transitionSeconds}
           matchMode={matchMode}
+          sessionFormat={sessionFormat}
           matches={matches}
           winnerSelections={winnerSelections}
+          pointSelections={pointSelections}
+          sessionPoints={sessionPoints}
+          players={players}
           benched={benched}
           presentPlayers={presentPlayers}
+          sittingOutPlayers={sittingOutPlayers}
           notPresentPlayers={notPresentPlayers}
           onStartSession={startSession}
           onPauseSession={pauseSession}
@@ -1229,7 +2117,20 @@ export default function App() {
           onEndSession={endSession}
           onSetWinner={setWinner}
           onClearWinner={clearWinner}
+          onSetPoints={setCourtPoints}
           onTogglePresent={togglePresent}
+          onToggleSittingOut={toggleSittingOut}
+          roundPreview={roundPreview}
+          onPinPlayer={pinPlayer}
+          onSwapPlayers={swapWithBench}
+          courts={courts}
+          blockedCourts={blockedCourts}
+          onToggleCourt={toggleCourtBlocked}
+          onRegenerateRound={regenerateRound}
+          onConfirmRound={confirmRound}
+          resumableSession={sessionActive ? null : resumableSession}
+          onAdoptSession={() => adoptActiveSession(resumableSession)}
+          onDismissSession={() => setResumableSession(null)}
         />
       )}
 
@@ -1259,12 +2160,30 @@ export default function App() {
           setTransitionSeconds={setTransitionSeconds}
           preRoundSeconds={preRoundSeconds}
           setPreRoundSeconds={setPreRoundSeconds}
-          courtsCount={courtsCount}
-          setCourtsCount={setCourtsCount}
+          club={clubInput}
+          setClub={setClubInput}
+          courts={courts}
+          setCourts={setCourts}
           kFactor={kFactor}
           setKFactor={setKFactor}
+          partnerPenalty={partnerPenalty}
+          setPartnerPenalty={setPartnerPenalty}
+          opponentPenalty={opponentPenalty}
+          setOpponentPenalty={setOpponentPenalty}
           matchMode={matchMode}
           setMatchModeState={setMatchModeState}
+          sessionFormat={sessionFormat}
+          setSessionFormat={setSessionFormat}
+          allowSingles={allowSingles}
+          setAllowSingles={setAllowSingles}
+          latePriority={latePriority}
+          setLatePriority={setLatePriority}
+          normalizeBench={normalizeBench}
+          setNormalizeBench={setNormalizeBench}
+          previewRounds={previewRounds}
+          setPreviewRounds={setPreviewRounds}
+          preferMixedHands={preferMixedHands}
+          setPreferMixedHands={setPreferMixedHands}
           volume={volume}
           setVolume={setVolume}
           saveSettings={saveSettings}
@@ -1383,6 +2302,15 @@ function HomeTab({ sessionSummary, setTab, activeSessionId }) {
               </div>
             </div>
           </div>
+
+          {sessionSummary.quality && (
+            <>
+              <div className="panel-head mt-12">
+                <h4>Matchmaking Quality</h4>
+              </div>
+              <QualityReportGrid report={sessionSummary.quality} />
+            </>
+          )}
         </div>
       )}
     </div>
@@ -1456,6 +2384,10 @@ function PlayerManagementTab({
                 <th>Matches</th>
                 <th>Current Streak</th>
                 <th>Best Session</th>
+                <th>Always Partner</th>
+                <th>Never Pair</th>
+                <th>Max Games in a Row</th>
+                <th>Hand</th>
                 <th>Present</th>
                 <th>Delete</th>
               </tr>
@@ -1499,6 +2431,73 @@ function PlayerManagementTab({
                     <td className="center">{p.matches_played}</td>
                     <td className="center">{formatSigned(p.current_streak)}</td>
                     <td className="center">{formatSigned(p.best_session_elo_gain)}</td>
+                    <td>
+                      <select
+                        className="input"
+                        value={p.always_partner_id || ''}
+                        onChange={(e) => updatePlayerLocal(p.id, 'always_partner_id', e.target.value || null)}
+                      >
+                        <option value="">—</option>
+                        {players
+                          .filter((other) => other.id !== p.id)
+                          .map((other) => (
+                            <option key={other.id} value={other.id}>
+                              {other.name}
+                            </option>
+                          ))}
+                      </select>
+                    </td>
+                    <td>
+                      <select
+                        className="input"
+                        multiple
+                        size={3}
+                        value={p.never_pair_ids}
+                        onChange={(e) =>
+                          updatePlayerLocal(
+                            p.id,
+                            'never_pair_ids',
+                            Array.from(e.target.selectedOptions, (o) => o.value)
+                          )
+                        }
+                      >
+                        {players
+                          .filter((other) => other.id !== p.id)
+                          .map((other) => (
+                            <option key={other.id} value={other.id}>
+                              {other.name}
+                            </option>
+                          ))}
+                      </select>
+                    </td>
+                    <td>
+                      <input
+                        className="input"
+                        type="number"
+                        min="0"
+                        max="20"
+                        placeholder="No limit"
+                        value={p.max_consecutive_games || ''}
+                        onChange={(e) =>
+                          updatePlayerLocal(
+                            p.id,
+                            'max_consecutive_games',
+                            Math.max(0, Math.floor(Number(e.target.value) || 0))
+                          )
+                        }
+                      />
+                    </td>
+                    <td>
+                      <select
+                        className="input"
+                        value={p.handedness}
+                        onChange={(e) => updatePlayerLocal(p.id, 'handedness', e.target.value)}
+                      >
+                        <option value="unknown">?</option>
+                        <option value="R">R</option>
+                        <option value="L">L</option>
+                      </select>
+                    </td>
                     <td className="center">
                       <input type="checkbox" checked={p.is_present} onChange={() => togglePresent(p)} />
                     </td>
@@ -1531,10 +2530,15 @@ function SessionTab({
   warningSeconds,
   transitionSeconds,
   matchMode,
+  sessionFormat,
   matches,
   winnerSelections,
+  pointSelections,
+  sessionPoints,
+  players,
   benched,
   presentPlayers,
+  sittingOutPlayers,
   notPresentPlayers,
   onStartSession,
   onPauseSession,
@@ -1543,10 +2547,60 @@ function SessionTab({
   onEndSession,
   onSetWinner,
   onClearWinner,
+  onSetPoints,
   onTogglePresent,
+  onToggleSittingOut,
+  roundPreview,
+  onPinPlayer,
+  onSwapPlayers,
+  onRegenerateRound,
+  onConfirmRound,
+  courts,
+  blockedCourts,
+  onToggleCourt,
+  resumableSession,
+  onAdoptSession,
+  onDismissSession,
 }) {
+  const showPoints = POINTS_FORMATS.includes(sessionFormat);
+
+  const [swapPick, setSwapPick] = useState(null);
+  const canSwap =
+    phase === PHASES.PRE_ROUND && benched.length > 0 && SWAP_FORMATS.includes(sessionFormat);
+  const activePick = canSwap ? swapPick : null;
+
+  function pickForSwap(id, from) {
+    if (!canSwap) return;
+    if (!activePick || activePick.from === from) {
+      setSwapPick(activePick?.id === id ? null : { id, from });
+      return;
+    }
+    setSwapPick(null);
+    onSwapPlayers(from === 'court' ? id : activePick.id, from === 'bench' ? id : activePick.id);
+  }
+
+  const unmixedCourts = matches.filter((m) => m.mixed === false).map(courtLabel);
+  const openCourts = matches.filter((m) => m.format === 'open').map(courtLabel);
+
   return (
     <div className="page">
+      {isAdmin && resumableSession ? (
+        <div className="notice-box">
+          <div>
+            An active session started {formatDateTime(resumableSession.session.started_at)} (round{' '}
+            {Number(resumableSession.session.rounds_played || 0)}) was left open for this club.
+          </div>
+          <div className="right mt-12">
+            <button className="btn" onClick={onDismissSession}>
+              Dismiss
+            </button>
+            <button className="btn primary" onClick={onAdoptSession}>
+              Resume Session
+            </button>
+          </div>
+        </div>
+      ) : null}
+
       <div className="toolbar glass">
         <div className="toolbar-left">
           <button className="btn primary" onClick={onStartSession}>
@@ -1592,40 +2646,98 @@ function SessionTab({
         <div className="summary-card">
           <div className="summary-label">Mode</div>
           <div className="summary-value small">
-            {matchMode === MATCH_MODES.BAND ? 'Band' : 'Window'}
+            {sessionFormat === SESSION_FORMATS.LADDER
+              ? SESSION_FORMAT_LABELS[sessionFormat]
+              : MODE_LABELS[matchMode] || MODE_LABELS[MATCH_MODES.WINDOW]}
           </div>
         </div>
       </div>
 
-      <div className="panel glass">
-        <div className="panel-head">
-          <h3>Matches</h3>
-          <div className="muted">
-            Pre-Game: {preRoundSeconds}s • Game: {matchMinutes}m • Warning Threshold: {warningSeconds}s • Transition Period: {transitionSeconds}s
+      {roundPreview ? (
+        <RoundPreviewPanel
+          preview={roundPreview}
+          onPin={onPinPlayer}
+          onRegenerate={onRegenerateRound}
+          onConfirm={onConfirmRound}
+        />
+      ) : (
+        <div className="panel glass">
+          <div className="panel-head">
+            <h3>Matches</h3>
+            <div className="muted">
+              Pre-Game: {preRoundSeconds}s • Game: {matchMinutes}m • Warning Threshold: {warningSeconds}s • Transition Period: {transitionSeconds}s
+            </div>
           </div>
+
+          {unmixedCourts.length > 0 && (
+            <div className="notice-box">
+              Not enough {scarcerGender(matches)} present to mix every court. Not mixed:
+              {unmixedCourts.join(', ')}.
+            </div>
+          )}
+
+          {openCourts.length > 0 && (
+            <div className="notice-box">
+              Not enough players of one gender for a full level court. Open: {openCourts.join(', ')}.
+            </div>
+          )}
+
+          {matches.length === 0 ? (
+            <div className="muted p-12">No matches built yet.</div>
+          ) : (
+            <div className="courts-grid">
+              {matches.map((match, i) => (
+                <CourtCard
+                  key={match.court}
+                  match={match}
+                  phase={phase}
+                  isKingCourt={sessionFormat === SESSION_FORMATS.LADDER && i === 0}
+                  selectedWinner={Number(winnerSelections[match.court] || 0)}
+                  points={showPoints ? pointSelections[match.court] || {} : null}
+                  onPickWinner={onSetWinner}
+                  onClearWinner={onClearWinner}
+                  onSetPoints={onSetPoints}
+                  swapPickId={activePick?.id}
+                  onPickPlayer={canSwap ? (id) => pickForSwap(id, 'court') : null}
+                  showExplain={isAdmin}
+                />
+              ))}
+            </div>
+          )}
         </div>
+      )}
 
-        {matches.length === 0 ? (
-          <div className="muted p-12">No matches built yet.</div>
-        ) : (
-          <div className="courts-grid">
-            {matches.map((match) => (
-              <CourtCard
-                key={match.court}
-                match={match}
-                phase={phase}
-                selectedWinner={Number(winnerSelections[match.court] || 0)}
-                onPickWinner={onSetWinner}
-                onClearWinner={onClearWinner}
-              />
-            ))}
+      {showPoints && <StandingsPanel players={players} sessionPoints={sessionPoints} />}
+
+      {isAdmin && (
+        <div className="panel glass">
+          <div className="panel-head">
+            <h3>Courts</h3>
+            <div className="muted">Tap a court to take it out of use. Changes apply from the next round.</div>
           </div>
-        )}
-      </div>
+          <div className="bench-row">
+            {courts.map((court) => {
+              const blocked = blockedCourts.includes(court.number);
+              return (
+                <div
+                  key={court.number}
+                  className={`tag clickable ${blocked ? 'blocked' : ''}`}
+                  onClick={() => onToggleCourt(court.number)}
+                >
+                  {court.name} <span className="muted">{blocked ? 'Blocked' : 'In use'}</span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
 
       <div className="panel glass">
         <div className="panel-head">
           <h3>Benched Players</h3>
+          {canSwap ? (
+            <div className="muted">Tap a court player and a benched player to swap them.</div>
+          ) : null}
         </div>
 
         {benched.length === 0 ? (
@@ -1633,7 +2745,11 @@ function SessionTab({
         ) : (
           <div className="bench-row">
             {benched.map((p) => (
-              <div className="tag" key={p.id}>
+              <div
+                className={`tag ${canSwap ? 'clickable' : ''} ${activePick?.id === p.id ? 'selected' : ''}`}
+                key={p.id}
+                onClick={() => pickForSwap(p.id, 'bench')}
+              >
                 <span className={`pill sm ${p.gender === 'F' ? 'female' : 'male'}`}>{p.gender}</span>
                 {p.name} <span className="muted">(ELO {p.elo_rating})</span>
               </div>
@@ -1670,6 +2786,26 @@ function SessionTab({
                 onClick={() => onTogglePresent(p)}
                 present
                 showBenchCount={isAdmin}
+                actionLabel="Sit out"
+                onAction={() => onToggleSittingOut(p)}
+              />
+            ))}
+          </div>
+        </div>
+
+        <div className="list-col">
+          <div className="list-head">
+            Sitting Out <span className="badge">{sittingOutPlayers.length}</span>
+          </div>
+          <div className="list-box glass">
+            {sittingOutPlayers.map((p) => (
+              <PlayerRow
+                key={p.id}
+                player={p}
+                onClick={() => onToggleSittingOut(p)}
+                showBenchCount={isAdmin}
+                actionLabel="Leave"
+                onAction={() => onTogglePresent(p)}
               />
             ))}
           </div>
@@ -1765,6 +2901,26 @@ function SessionHistoryTab({
       }));
   }, [details]);
 
+  const snapshots = useMemo(
+    () => new Map((details?.rounds || []).map((r) => [Number(r.round_number), r.snapshot])),
+    [details]
+  );
+  const [replays, setReplays] = useState({});
+
+  function regenerate(group) {
+    const replay = replayRound(snapshots.get(group.round));
+    const stored = new Set(
+      group.matches.flatMap((m) => {
+        const teams = splitMatchPlayers(m.match_players || []);
+        return [teams.team1, teams.team2].map((t) => teamKey(t.map((p) => p.player_id)));
+      })
+    );
+    const same = replay.matches.every((m) =>
+      [m.team1, m.team2].every((t) => stored.has(teamKey(t.map((p) => p.id))))
+    );
+    setReplays((prev) => ({ ...prev, [group.round]: { matches: replay.matches, same } }));
+  }
+
   return (
     <div className="page">
       <div className="history-layout">
@@ -1837,6 +2993,15 @@ function SessionHistoryTab({
                 </div>
               </div>
 
+              {details.session.quality_report ? (
+                <div className="panel glass inner-panel">
+                  <div className="panel-head">
+                    <h4>Matchmaking Quality</h4>
+                  </div>
+                  <QualityReportGrid report={details.session.quality_report} />
+                </div>
+              ) : null}
+
               <div className="panel glass inner-panel">
                 <div className="panel-head">
                   <h4>Session Players</h4>
@@ -1893,7 +3058,33 @@ function SessionHistoryTab({
                   <div className="history-rounds">
                     {groupedMatches.map((group) => (
                       <div key={group.round} className="history-round-block">
-                        <div className="history-round-title">Round {group.round}</div>
+                        <div className="history-round-title">
+                          Round {group.round}
+                          {group.matches[0]?.round_seed != null ? (
+                            <span className="muted"> • Seed {group.matches[0].round_seed}</span>
+                          ) : null}
+                          {snapshots.has(group.round) ? (
+                            <button className="btn ghost" onClick={() => regenerate(group)}>
+                              Regenerate
+                            </button>
+                          ) : null}
+                        </div>
+
+                        {replays[group.round] ? (
+                          <div className="history-replay">
+                            <div className="muted">
+                              {replays[group.round].same
+                                ? 'Rebuilt from the stored snapshot: same teams as played.'
+                                : 'Rebuilt from the stored snapshot: teams differ from the played round (players may have been swapped after the build).'}
+                            </div>
+                            {replays[group.round].matches.map((m) => (
+                              <div key={m.court}>
+                                <b>{courtLabel(m)}</b>: {m.team1.map((p) => p.name).join(' & ')} vs{' '}
+                                {m.team2.map((p) => p.name).join(' & ')}
+                              </div>
+                            ))}
+                          </div>
+                        ) : null}
 
                         {group.matches.map((match) => {
                           const playersByTeam = splitMatchPlayers(match.match_players || []);
@@ -1972,6 +3163,9 @@ function SessionHistoryTab({
 
                               <div className="history-match-foot muted">
                                 Team averages: {match.team1_avg_elo ?? '—'} vs {match.team2_avg_elo ?? '—'}
+                                {match.team1_score != null && match.team2_score != null
+                                  ? ` • Score: ${match.team1_score}–${match.team2_score}`
+                                  : ''}
                               </div>
                             </div>
                           );
@@ -1998,12 +3192,30 @@ function SettingsTab({
   setTransitionSeconds,
   preRoundSeconds,
   setPreRoundSeconds,
-  courtsCount,
-  setCourtsCount,
+  club,
+  setClub,
+  courts,
+  setCourts,
   kFactor,
   setKFactor,
+  partnerPenalty,
+  setPartnerPenalty,
+  opponentPenalty,
+  setOpponentPenalty,
   matchMode,
   setMatchModeState,
+  sessionFormat,
+  setSessionFormat,
+  allowSingles,
+  setAllowSingles,
+  latePriority,
+  setLatePriority,
+  normalizeBench,
+  setNormalizeBench,
+  previewRounds,
+  setPreviewRounds,
+  preferMixedHands,
+  setPreferMixedHands,
   volume,
   setVolume,
   saveSettings,
@@ -2065,14 +3277,11 @@ function SettingsTab({
           </div>
 
           <div className="setting">
-            <label>Courts Available</label>
+            <label>Club (court list on the server)</label>
             <input
               className="input"
-              type="number"
-              min="1"
-              max="6"
-              value={courtsCount}
-              onChange={(e) => setCourtsCount(Number(e.target.value))}
+              value={club}
+              onChange={(e) => setClub(e.target.value)}
             />
           </div>
 
@@ -2088,6 +3297,30 @@ function SettingsTab({
             />
           </div>
 
+          <div className="setting">
+            <label>Repeat Partner Penalty (ELO pts)</label>
+            <input
+              className="input"
+              type="number"
+              min="0"
+              max="400"
+              value={partnerPenalty}
+              onChange={(e) => setPartnerPenalty(Number(e.target.value))}
+            />
+          </div>
+
+          <div className="setting">
+            <label>Repeat Opponent Penalty (ELO pts)</label>
+            <input
+              className="input"
+              type="number"
+              min="0"
+              max="400"
+              value={opponentPenalty}
+              onChange={(e) => setOpponentPenalty(Number(e.target.value))}
+            />
+          </div>
+
           <div className="setting">
             <label>Matchmaking Mode</label>
             <select
@@ -2097,6 +3330,84 @@ function SettingsTab({
             >
               <option value={MATCH_MODES.WINDOW}>Window</option>
               <option value={MATCH_MODES.BAND}>Band</option>
+              <option value={MATCH_MODES.OPTIMIZED}>Optimized</option>
+              <option value={MATCH_MODES.MIXED}>Mixed Doubles</option>
+              <option value={MATCH_MODES.LEVEL}>Level Doubles (MD/WD)</option>
+            </select>
+          </div>
+
+          <div className="setting">
+            <label>Session Format</label>
+            <select
+              className="input"
+              value={sessionFormat}
+              onChange={(e) => setSessionFormat(e.target.value)}
+            >
+              {Object.values(SESSION_FORMATS).map((format) => (
+                <option key={format} value={format}>
+                  {SESSION_FORMAT_LABELS[format]}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="setting">
+            <label>Singles Court for Leftover Players</label>
+            <select
+              className="input"
+              value={allowSingles ? 'on' : 'off'}
+              onChange={(e) => setAllowSingles(e.target.value === 'on')}
+            >
+              <option value="off">Off (bench them)</option>
+              <option value="on">On (when a court is free)</option>
+            </select>
+          </div>
+
+          <div className="setting">
+            <label>Late Arrivals</label>
+            <select
+              className="input"
+              value={latePriority ? 'on' : 'off'}
+              onChange={(e) => setLatePriority(e.target.value === 'on')}
+            >
+              <option value="on">Play their first round</option>
+              <option value="off">No priority</option>
+            </select>
+          </div>
+
+          <div className="setting">
+            <label>Bench Counts</label>
+            <select
+              className="input"
+              value={normalizeBench ? 'on' : 'off'}
+              onChange={(e) => setNormalizeBench(e.target.value === 'on')}
+            >
+              <option value="on">Per round present</option>
+              <option value="off">Raw count</option>
+            </select>
+          </div>
+
+          <div className="setting">
+            <label>Round Preview (admin)</label>
+            <select
+              className="input"
+              value={previewRounds ? 'on' : 'off'}
+              onChange={(e) => setPreviewRounds(e.target.value === 'on')}
+            >
+              <option value="off">Off (start pre-game right away)</option>
+              <option value="on">On (pin, regenerate, confirm)</option>
+            </select>
+          </div>
+
+          <div className="setting">
+            <label>Left/Right Partnerships</label>
+            <select
+              className="input"
+              value={preferMixedHands ? 'on' : 'off'}
+              onChange={(e) => setPreferMixedHands(e.target.value === 'on')}
+            >
+              <option value="off">Off</option>
+              <option value="on">Prefer L+R teams</option>
             </select>
           </div>
 
@@ -2118,6 +3429,19 @@ function SettingsTab({
           <div><b>Default Settings</b></div>
           <div>Pre-Game = 30s • Game = 10 mins • Warning Threshold = 30s left • Transition Period = 60s</div>
           <div>No winner selected by end of transition = no rating change.</div>
+          <div>Optimized mode searches all court assignments for the lowest spread, imbalance and repeats.</div>
+          <div>Mixed Doubles plays as many 1M+1F teams as the present ratio allows.</div>
+          <div>Level Doubles splits courts into men's and women's doubles in proportion to who is present.</div>
+          <div>King of the Court: winners move up a court, losers move down, sitters join the bottom court.</div>
+          <div>Americano: a precomputed night where everyone partners everyone once; enter each court's points.</div>
+          <div>Mexicano: round 1 is seeded by rating, then courts are built from tonight's points standings.</div>
+          <div>Singles: with 2–3 players left over and a free court, two of them play singles (standard format only).</div>
+          <div>Late arrivals can be put straight into their first round; bench counts can be weighed per round each player was there.</div>
+          <div>Round Preview: pin players to a court or the bench and regenerate before the pre-game timer starts. Court pins apply in the standard format.</div>
+          <div>Courts: the court list is kept per club; show courts get the strongest groups and beginners-only courts the weakest.</div>
+          <div>New players (under {PROVISIONAL_MATCHES} matches) are grouped with a wider tolerance and kept off the most lopsided courts in Window/Band.</div>
+          <div>Left/Right Partnerships: when splitting a court, a left- and right-hander are paired if the teams stay about as even.</div>
+          <div>Repeat penalties apply to partners/opponents from the last 4 rounds; 0 turns them off.</div>
         </div>
 
         <div className="right mt-12">
@@ -2126,11 +3450,132 @@ function SettingsTab({
           </button>
         </div>
       </div>
+
+      <CourtsPanel courts={courts} setCourts={setCourts} />
+    </div>
+  );
+}
+
+/**
+ * Court list editor. Order is play order (and ladder order); show courts get
+ * the strongest groups, beginners-only courts the weakest.
+ */
+function CourtsPanel({ courts, setCourts }) {
+  function update(number, fields) {
+    setCourts((prev) => prev.map((c) => (c.number === number ? { ...c, ...fields } : c)));
+  }
+
+  function move(index, step) {
+    setCourts((prev) => {
+      const target = index + step;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = prev.slice();
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  }
+
+  function addCourt() {
+    setCourts((prev) => {
+      if (prev.length >= MAX_COURTS) return prev;
+      const number = Math.max(0, ...prev.map((c) => c.number)) + 1;
+      return [...prev, { number, name: `Court ${number}`, tag: '' }];
+    });
+  }
+
+  function removeCourt(number) {
+    setCourts((prev) => (prev.length > 1 ? prev.filter((c) => c.number !== number) : prev));
+  }
+
+  return (
+    <div className="panel glass">
+      <div className="panel-head">
+        <h3>Courts</h3>
+        <div className="muted">
+          {courts.length} of up to {MAX_COURTS} • saved per club with Save Settings
+        </div>
+      </div>
+
+      <div className="table-wrap">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Name</th>
+              <th>Tag</th>
+              <th>Order</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {courts.map((court, i) => (
+              <tr key={court.number}>
+                <td>{court.number}</td>
+                <td>
+                  <input
+                    className="input"
+                    value={court.name}
+                    onChange={(e) => update(court.number, { name: e.target.value })}
+                  />
+                </td>
+                <td>
+                  <select
+                    className="input"
+                    value={court.tag}
+                    onChange={(e) => update(court.number, { tag: e.target.value })}
+                  >
+                    <option value="">None</option>
+                    {Object.values(COURT_TAGS).map((tag) => (
+                      <option key={tag} value={tag}>
+                        {COURT_TAG_LABELS[tag]}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  <button className="btn ghost" onClick={() => move(i, -1)} disabled={i === 0}>
+                    ↑
+                  </button>
+                  <button
+                    className="btn ghost"
+                    onClick={() => move(i, 1)}
+                    disabled={i === courts.length - 1}
+                  >
+                    ↓
+                  </button>
+                </td>
+                <td>
+                  <button
+                    className="btn danger"
+                    onClick={() => removeCourt(court.number)}
+                    disabled={courts.length <= 1}
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="right mt-12">
+        <button className="btn" onClick={addCourt} disabled={courts.length >= MAX_COURTS}>
+          Add Court
+        </button>
+      </div>
     </div>
   );
 }
 
-function PlayerRow({ player, onClick, present = false, showBenchCount = false }) {
+function PlayerRow({
+  player,
+  onClick,
+  present = false,
+  showBenchCount = false,
+  actionLabel = '',
+  onAction = null,
+}) {
   return (
     <div className={`row-player ${present ? 'present' : ''}`} onClick={onClick}>
       <span className="name">{player.name}</span>
@@ -2139,32 +3584,80 @@ function PlayerRow({ player, onClick, present = false, showBenchCount = false })
         <span>ELO {player.elo_rating}</span>
         <span>T{displayTier(player)}</span>
         {showBenchCount ? <span>Benched {Number(player.bench_count || 0)}</span> : null}
+        {onAction ? (
+          <button
+            className="btn ghost row-action"
+            onClick={(e) => {
+              e.stopPropagation();
+              onAction();
+            }}
+          >
+            {actionLabel}
+          </button>
+        ) : null}
       </span>
     </div>
   );
 }
 
-function CourtCard({ match, phase, selectedWinner, onPickWinner, onClearWinner }) {
+function CourtCard({
+  match,
+  phase,
+  isKingCourt = false,
+  selectedWinner,
+  points = null,
+  onPickWinner,
+  onClearWinner,
+  onSetPoints,
+  swapPickId = null,
+  onPickPlayer = null,
+  showExplain = false,
+}) {
   const canPick = phase === PHASES.TRANSITION;
+  const side = match.singles ? 'Player' : 'Team';
 
   return (
-    <div className="court glass">
+    <div className={`court glass ${match.singles ? 'singles' : ''}`}>
       <div className="court-head">
-        <h3>Court {match.court}</h3>
+        <h3>
+          {courtLabel(match)}
+          {match.court_tag ? <span className="badge format">{COURT_TAG_LABELS[match.court_tag]}</span> : null}
+          {isKingCourt ? <span className="badge format">King Court</span> : null}
+          {match.singles ? <span className="badge format">Singles</span> : null}
+          {match.mixed === false ? <span className="badge warn">Not mixed</span> : null}
+          {match.format ? (
+            <span className={`badge ${match.format === 'open' ? 'warn' : 'format'}`}>
+              {COURT_FORMAT_LABELS[match.format]}
+            </span>
+          ) : null}
+        </h3>
         <div className="avg-pair">
-          <span className="avg">Team 1 Avg: <b>{Math.round(match.avg1)}</b></span>
-          <span className="avg">Team 2 Avg: <b>{Math.round(match.avg2)}</b></span>
+          <span className="avg">{side} 1{match.singles ? '' : ' Avg'}: <b>{Math.round(match.avg1)}</b></span>
+          <span className="avg">{side} 2{match.singles ? '' : ' Avg'}: <b>{Math.round(match.avg2)}</b></span>
         </div>
       </div>
 
+      {match.violations?.length ? (
+        <div className="notice-box">
+          {match.violations.map((v) => (
+            <div key={v}>{v}</div>
+          ))}
+        </div>
+      ) : null}
+
       <div className="team-block">
         <div className={`team-card ${selectedWinner === 1 ? 'winner' : ''}`}>
-          <div className="team-title">Team 1</div>
+          <div className="team-title">{side} 1</div>
           <div className="team-line">
             {match.team1.map((p) => (
-              <div className="tag" key={p.id}>
+              <div
+                className={`tag ${onPickPlayer ? 'clickable' : ''} ${swapPickId === p.id ? 'selected' : ''}`}
+                key={p.id}
+                onClick={onPickPlayer ? () => onPickPlayer(p.id) : undefined}
+              >
                 <span className={`pill sm ${p.gender === 'F' ? 'female' : 'male'}`}>{p.gender}</span>
                 {p.name}
+                {isProvisional(p) ? <span className="pill sm provisional">New</span> : null}
               </div>
             ))}
           </div>
@@ -2173,19 +3666,31 @@ function CourtCard({ match, phase, selectedWinner, onPickWinner, onClearWinner }
             onClick={() => onPickWinner(match.court, 1)}
             disabled={!canPick}
           >
-            Team 1 Won
+            {side} 1 Won
           </button>
+          {points ? (
+            <CourtPointsInput
+              value={points[1]}
+              disabled={!canPick}
+              onChange={(value) => onSetPoints(match.court, 1, value)}
+            />
+          ) : null}
         </div>
 
         <div className="net-horizontal" />
 
         <div className={`team-card ${selectedWinner === 2 ? 'winner' : ''}`}>
-          <div className="team-title">Team 2</div>
+          <div className="team-title">{side} 2</div>
           <div className="team-line">
             {match.team2.map((p) => (
-              <div className="tag" key={p.id}>
+              <div
+                className={`tag ${onPickPlayer ? 'clickable' : ''} ${swapPickId === p.id ? 'selected' : ''}`}
+                key={p.id}
+                onClick={onPickPlayer ? () => onPickPlayer(p.id) : undefined}
+              >
                 <span className={`pill sm ${p.gender === 'F' ? 'female' : 'male'}`}>{p.gender}</span>
                 {p.name}
+                {isProvisional(p) ? <span className="pill sm provisional">New</span> : null}
               </div>
             ))}
           </div>
@@ -2194,8 +3699,15 @@ function CourtCard({ match, phase, selectedWinner, onPickWinner, onClearWinner }
             onClick={() => onPickWinner(match.court, 2)}
             disabled={!canPick}
           >
-            Team 2 Won
+            {side} 2 Won
           </button>
+          {points ? (
+            <CourtPointsInput
+              value={points[2]}
+              disabled={!canPick}
+              onChange={(value) => onSetPoints(match.court, 2, value)}
+            />
+          ) : null}
         </div>
       </div>
 
@@ -2204,7 +3716,7 @@ function CourtCard({ match, phase, selectedWinner, onPickWinner, onClearWinner }
           <>
             <div className="muted">
               {selectedWinner
-                ? `Winner selected: Team ${selectedWinner}`
+                ? `Winner selected: ${side} ${selectedWinner}`
                 : 'No winner selected yet. If transition ends now, no ELO points are awarded.'}
             </div>
             <button className="btn ghost" onClick={() => onClearWinner(match.court)}>
@@ -2215,6 +3727,193 @@ function CourtCard({ match, phase, selectedWinner, onPickWinner, onClearWinner }
           <div className="muted">Winner selection opens during Stage 3/4.</div>
         )}
       </div>
+
+      {showExplain && match.explain ? <MatchExplainPanel explain={match.explain} /> : null}
+    </div>
+  );
+}
+
+/** Admin-only "why this court?" details from the matchmaking metadata. */
+function MatchExplainPanel({ explain }) {
+  const width = explain.width;
+  let widthText = 'n/a';
+  if (width?.window != null) widthText = `±${width.window} ELO`;
+  else if (width?.band_window != null) widthText = `±${width.band_window} band(s)`;
+  if (width?.pressure_extra) widthText += ` (+${width.pressure_extra} fairness)`;
+
+  return (
+    <details className="explain">
+      <summary>Why this court?</summary>
+      <div className="explain-grid">
+        <span className="muted">Mode</span>
+        <span>{MODE_LABELS[explain.mode] || explain.mode || 'n/a'}</span>
+        <span className="muted">Width used</span>
+        <span>{widthText}</span>
+        <span className="muted">Fairness pressure</span>
+        <span>{explain.fairness_pressure ?? 0}</span>
+        <span className="muted">Had to play</span>
+        <span>{explain.must_play?.length ? explain.must_play.join(', ') : 'None'}</span>
+        <span className="muted">Provisional</span>
+        <span>{explain.provisional?.length ? explain.provisional.join(', ') : 'None'}</span>
+        <span className="muted">Fallback grouping</span>
+        <span>{explain.fallback ? 'Yes (courts filled in order)' : 'No'}</span>
+        {explain.swapped && (
+          <>
+            <span className="muted">Swapped</span>
+            <span>{`${explain.swapped.in} in for ${explain.swapped.out}`}</span>
+          </>
+        )}
+        <span className="muted">Repeat pairs</span>
+        <span>
+          {explain.repeats?.length
+            ? explain.repeats
+                .map((r) => `${r.players.join(' & ')} (${r.type}, +${r.penalty})`)
+                .join('; ')
+            : 'None'}
+        </span>
+      </div>
+    </details>
+  );
+}
+
+/**
+ * Proposed round before the pre-game timer starts. Any player can be pinned
+ * to a court or the bench; regenerate rebuilds around the pins.
+ */
+function RoundPreviewPanel({ preview, onPin, onRegenerate, onConfirm }) {
+  const courts = preview.matches.map((m) => ({ number: m.court, label: courtLabel(m) }));
+  const pinsChanged = previewPinsChanged(preview);
+
+  const pinnable = (p) => (
+    <div className="preview-player" key={p.id}>
+      <span>
+        <span className={`pill sm ${p.gender === 'F' ? 'female' : 'male'}`}>{p.gender}</span>{' '}
+        {p.name} <span className="muted">({p.elo_rating})</span>
+      </span>
+      <select
+        className="input pin-select"
+        value={preview.pins[p.id] ?? ''}
+        onChange={(e) => onPin(p.id, e.target.value)}
+      >
+        <option value="">Not pinned</option>
+        {courts.map((c) => (
+          <option key={c.number} value={c.number}>
+            {c.label}
+          </option>
+        ))}
+        <option value="bench">Bench</option>
+      </select>
+    </div>
+  );
+
+  return (
+    <div className="panel glass">
+      <div className="panel-head">
+        <h3>Round {preview.round} Preview</h3>
+        <div className="muted">Pin players, regenerate, then confirm to start the pre-game timer.</div>
+      </div>
+
+      <div className="courts-grid">
+        {preview.matches.map((match) => (
+          <div key={match.court} className={`court glass ${match.singles ? 'singles' : ''}`}>
+            <div className="court-head">
+              <h3>{courtLabel(match)}</h3>
+              <div className="avg-pair">
+                <span className="avg">1: <b>{Math.round(match.avg1)}</b></span>
+                <span className="avg">2: <b>{Math.round(match.avg2)}</b></span>
+              </div>
+            </div>
+            <div className="team-block">
+              <div className="team-card">
+                <div className="team-title">{match.singles ? 'Player' : 'Team'} 1</div>
+                {match.team1.map(pinnable)}
+              </div>
+              <div className="net-horizontal" />
+              <div className="team-card">
+                <div className="team-title">{match.singles ? 'Player' : 'Team'} 2</div>
+                {match.team2.map(pinnable)}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {preview.benched.length > 0 && (
+        <div className="mt-12">
+          <div className="team-title">Bench</div>
+          {preview.benched.map(pinnable)}
+        </div>
+      )}
+
+      {pinsChanged && (
+        <div className="muted mt-12">Pins changed since this preview was built. Rebuild it to see the round before starting.</div>
+      )}
+
+      <div className="right mt-12">
+        <button className="btn" onClick={onRegenerate}>
+          Regenerate
+        </button>
+        <button className="btn primary" onClick={onConfirm}>
+          {pinsChanged ? 'Rebuild Preview' : 'Confirm & Start'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function CourtPointsInput({ value, disabled, onChange }) {
+  return (
+    <input
+      className="input points-input"
+      type="number"
+      min="0"
+      placeholder="Points"
+      value={value ?? ''}
+      disabled={disabled}
+      onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))}
+    />
+  );
+}
+
+function StandingsPanel({ players, sessionPoints }) {
+  const rows = players
+    .filter((p) => sessionPoints[p.id])
+    .map((p) => ({ ...p, ...sessionPoints[p.id] }))
+    .sort((a, b) => b.points - a.points || a.games - b.games || a.name.localeCompare(b.name));
+
+  return (
+    <div className="panel glass">
+      <div className="panel-head">
+        <h3>Session Standings</h3>
+        <div className="muted">Points scored by each player's teams</div>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="muted p-8">No points recorded yet.</div>
+      ) : (
+        <div className="table-wrap">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Rank</th>
+                <th>Name</th>
+                <th>Points</th>
+                <th>Games</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, index) => (
+                <tr key={row.id}>
+                  <td className="center">{index + 1}</td>
+                  <td>{row.name}</td>
+                  <td className="center"><b>{row.points}</b></td>
+                  <td className="center">{row.games}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
     </div>
   );
 }
@@ -2234,6 +3933,31 @@ function formatDateTime(value) {
   return date.toLocaleString();
 }
 
+function scarcerGender(matches) {
+  const onCourt = matches.flatMap((m) => [...m.team1, ...m.team2]);
+  const women = onCourt.filter((p) => p.gender === 'F').length;
+  return women * 2 < onCourt.length ? 'women' : 'men';
+}
+
+function readCourtPoints(entry) {
+  const team1 = Number(entry?.[1]);
+  const team2 = Number(entry?.[2]);
+  if (entry?.[1] == null || entry?.[2] == null) return null;
+  if (!Number.isFinite(team1) || !Number.isFinite(team2)) return null;
+  return { team1, team2 };
+}
+
+function tallySessionPoints(totals, team, points) {
+  for (const p of team) {
+    const current = totals[p.id] || { points: 0, games: 0 };
+    totals[p.id] = { points: current.points + points, games: current.games + 1 };
+  }
+}
+
+function teamKey(ids) {
+  return ids.map(String).sort().join('|');
+}
+
 function splitMatchPlayers(matchPlayers) {
   return {
     team1: matchPlayers.filter((p) => Number(p.team_number) === 1),
@@ -2241,6 +3965,158 @@ function splitMatchPlayers(matchPlayers) {
   };
 }
 
+/**
+ * Build a round from its inputs (see roundInputs in App) on `engine`, which
+ * is moved on as by a live build. The engine builds on court slots 1..n; pins
+ * and ladder positions are moved onto slots first and the built matches back
+ * onto the real courts after. The same engine state, inputs and seed always
+ * give the same round.
+ */
+function buildRoundFromInputs(engine, inputs, nextRound, seed) {
+  const slotPins = courtSlotPins(inputs.pins || {}, inputs.courts);
+  const built = buildRoundOnSlots(engine, inputs, nextRound, seed, slotPins);
+  const matches = assignCourts(built.matches, inputs.courts, {
+    keepOrder: inputs.format === SESSION_FORMATS.LADDER,
+    fixed: new Set(Object.values(slotPins).filter((v) => v !== 'bench')),
+  });
+  return { ...built, matches };
+}
+
+function buildRoundOnSlots(engine, inputs, nextRound, seed, pins) {
+  const rng = createRng(seed);
+  const currentPlayers = inputs.players;
+  const courtsCount = inputs.courts.length;
+  const lastBenched = new Set(inputs.last_round_benched || []);
+  const matchOptions = {
+    round: nextRound,
+    partnerPenalty: inputs.partner_penalty,
+    opponentPenalty: inputs.opponent_penalty,
+    rng,
+    arrivals: new Map(inputs.arrivals || []),
+    latePriority: inputs.late_priority,
+    normalizeBench: inputs.normalize_bench,
+    pins,
+    handedness: inputs.handedness,
+  };
+
+  if (inputs.format === SESSION_FORMATS.AMERICANO) {
+    // Sitting-out players are left out of the fixed schedule.
+    const available = availablePlayers(currentPlayers);
+    const schedule =
+      inputs.americano_schedule || buildAmericanoSchedule(available, courtsCount, { rng });
+
+    if (!schedule) {
+      return {
+        playing: [],
+        benched: currentPlayers,
+        matches: [],
+        message: `Americano needs a multiple of 4 players and a court for every 4 (${available.length} available, ${courtsCount} courts).`,
+      };
+    }
+
+    const round = engine.buildAmericanoRound(currentPlayers, schedule, nextRound - 1, matchOptions);
+
+    return round.complete
+      ? { ...round, schedule, message: 'Americano schedule complete.' }
+      : { ...round, schedule };
+  }
+
+  if (inputs.format === SESSION_FORMATS.MEXICANO) {
+    return engine.buildMexicanoRound(
+      currentPlayers,
+      inputs.session_points || {},
+      lastBenched,
+      courtsCount,
+      matchOptions
+    );
+  }
+
+  if (inputs.format === SESSION_FORMATS.LADDER) {
+    const previous = inputs.previous_matches || [];
+    const slotOf = new Map(previous.map((m, i) => [Number(m.court), i + 1]));
+    const winners = {};
+    for (const [court, team] of Object.entries(inputs.winners || {})) {
+      if (slotOf.has(Number(court))) winners[slotOf.get(Number(court))] = team;
+    }
+
+    return engine.buildLadderRound(
+      currentPlayers,
+      previous.map((m) => ({ ...m, court: slotOf.get(Number(m.court)) })),
+      winners,
+      courtsCount,
+      matchOptions
+    );
+  }
+
+  // Singles courts only exist in the standard format.
+  const allowSingles = !!inputs.allow_singles;
+  const minPlayers = allowSingles ? 2 : 4;
+
+  const { playing, benched } = engine.selectPlayersForRound(
+    currentPlayers,
+    nextRound,
+    lastBenched,
+    courtsCount,
+    { ...matchOptions, allowSingles }
+  );
+
+  const matches =
+    playing.length >= minPlayers
+      ? engine.buildMatchesFromPlayers(playing, courtsCount, { ...matchOptions, allowSingles })
+      : [];
+
+  return { playing, benched, matches };
+}
+
+/** Rebuild a stored round from its snapshot: { round, seed, engine, inputs }. */
+function replayRound(snapshot) {
+  const engine = MatchmakingEngine.restore(snapshot.engine);
+  return buildRoundFromInputs(engine, snapshot.inputs, snapshot.round, snapshot.seed);
+}
+
+/** A built match as kept in the session history's round_built entries. */
+function builtMatchEntry(m) {
+  return {
+    court: m.court,
+    team1: m.team1.map((p) => p.name),
+    team2: m.team2.map((p) => p.name),
+    team1_ids: m.team1.map((p) => p.id),
+    team2_ids: m.team2.map((p) => p.id),
+    avg1: Math.round(m.avg1),
+    avg2: Math.round(m.avg2),
+    span: Math.round(m.span),
+    ...(m.mixed === false ? { not_mixed: true } : {}),
+    ...(m.format ? { format: m.format } : {}),
+    ...(m.singles ? { singles: true } : {}),
+    ...(m.violations ? { violations: m.violations } : {}),
+    ...(m.explain ? { explain: m.explain } : {}),
+  };
+}
+
+function previewPinsChanged(preview) {
+  return JSON.stringify(preview.pins) !== JSON.stringify(preview.builtPins);
+}
+
+/** Courts that aren't blocked, in play order. */
+function availableCourts(courts, blockedCourts) {
+  return courts.filter((court) => !blockedCourts.includes(court.number));
+}
+
+function courtLabel(match) {
+  return match.court_name || `Court ${match.court}`;
+}
+
+/** Pins by real court number -> pins by court slot; pins to unused courts drop. */
+function courtSlotPins(pins, courts) {
+  const courtNumbers = courts.map((c) => c.number);
+  const out = {};
+  for (const [id, value] of Object.entries(pins)) {
+    if (value === 'bench') out[id] = value;
+    else if (courtNumbers.includes(Number(value))) out[id] = courtNumbers.indexOf(Number(value)) + 1;
+  }
+  return out;
+}
+
 function buildSessionSummary(players, gainMap, history, rounds) {
   const resolved = history.filter((x) => x.type === 'round_resolved');
   const allResults = resolved.flatMap((x) => x.results || []);
@@ -2265,4 +4141,111 @@ function buildSessionSummary(players, gainMap, history, rounds) {
     topGain,
     topGainName,
   };
+}
+
+/**
+ * How well matchmaking did over the night, from the rounds played in the
+ * session history: court spread, team balance, predicted win chances,
+ * repeated partnerships and how evenly benches and games were shared.
+ * Stored with the session so modes can be compared across nights.
+ */
+function buildQualityReport(players, history) {
+  // Only rounds that were played out: the round still on court at the end
+  // was never resolved.
+  const resolved = new Map(
+    history.filter((x) => x.type === 'round_resolved').map((x) => [x.round, x.results || []])
+  );
+  const built = history.filter((x) => x.type === 'round_built' && resolved.has(x.round));
+  const matches = built.flatMap((x) => x.matches || []);
+  if (!matches.length) return null;
+
+  const noResult = new Set(
+    [...resolved.entries()].flatMap(([round, results]) =>
+      results.filter((r) => r.status === 'no_result').map((r) => `${round}:${r.court}`)
+    )
+  );
+  const decided = built.flatMap((x) =>
+    (x.matches || []).filter((m) => !noResult.has(`${x.round}:${m.court}`))
+  );
+
+  const spans = matches.map((m) => Number(m.span || 0));
+  const gaps = matches.map((m) => Math.abs(Number(m.avg1 || 0) - Number(m.avg2 || 0)));
+  const favourites = decided.map((m) => {
+    const p = expectedScore(Number(m.avg1 || 0), Number(m.avg2 || 0));
+    return Math.max(p, 1 - p);
+  });
+
+  const partnerSeen = new Set();
+  let repeatPartners = 0;
+  const games = new Map(players.map((p) => [p.id, 0]));
+
+  for (const m of matches) {
+    for (const team of [m.team1_ids, m.team2_ids]) {
+      for (const id of team) games.set(id, (games.get(id) || 0) + 1);
+      if (team.length !== 2) continue;
+      const key = teamKey(team);
+      if (partnerSeen.has(key)) repeatPartners++;
+      partnerSeen.add(key);
+    }
+  }
+
+  const gameCounts = [...games.values()];
+  const modes = [...new Set(built.map((x) => x.mode).filter(Boolean))];
+
+  return {
+    modes,
+    matches: matches.length,
+    mean_span: Math.round(mean(spans)),
+    max_span: Math.max(...spans),
+    mean_team_gap: Math.round(mean(gaps)),
+    mean_favourite_win_prob: round2(mean(favourites)),
+    max_favourite_win_prob: round2(favourites.length ? Math.max(...favourites) : 0),
+    repeat_partners: repeatPartners,
+    bench_stddev: round2(stddev(players.map((p) => Number(p.bench_count || 0)))),
+    games_min: gameCounts.length ? Math.min(...gameCounts) : 0,
+    games_mean: round2(mean(gameCounts)),
+    games_max: gameCounts.length ? Math.max(...gameCounts) : 0,
+  };
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function stddev(values) {
+  const m = mean(values);
+  return Math.sqrt(mean(values.map((v) => (v - m) ** 2)));
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/** Summary cards for a stored matchmaking quality report. */
+function QualityReportGrid({ report }) {
+  const cards = [
+    ['Modes', report.modes?.map((m) => MODE_LABELS[m] || m).join(', ') || '—'],
+    ['Mean / Max Court Span', `${report.mean_span} / ${report.max_span}`],
+    ['Mean Team Avg Gap', report.mean_team_gap],
+    [
+      'Favourite Win Chance',
+      `${Math.round(report.mean_favourite_win_prob * 100)}% avg • ${Math.round(
+        report.max_favourite_win_prob * 100
+      )}% max`,
+    ],
+    ['Repeat Partners', report.repeat_partners],
+    ['Bench Count Std Dev', report.bench_stddev],
+    ['Games per Player', `${report.games_min}–${report.games_max} (avg ${report.games_mean})`],
+  ];
+
+  return (
+    <div className="summary-grid">
+      {cards.map(([label, value]) => (
+        <div className="summary-card" key={label}>
+          <div className="summary-label">{label}</div>
+          <div className="summary-value small">{value}</div>
+        </div>
+      ))}
+    </div>
+  );
 }
\ No newline at end of file
@@ -5,6 +5,25 @@
 export const MATCH_MODES = {
   WINDOW: 'window',
   BAND: 'band',
+  OPTIMIZED: 'optimized',
+  MIXED: 'mixed',
+  LEVEL: 'level',
+};
+
+// How each round's courts are produced: rebuilt from ratings every round,
+// or carried over from last round's results on a court ladder.
+export const SESSION_FORMATS = {
+  STANDARD: 'standard',
+  LADDER: 'ladder',
+  AMERICANO: 'americano',
+  MEXICANO: 'mexicano',
+};
+
+// Optional court tags: show courts take the strongest groups, beginners-only
+// courts the weakest.
+export const COURT_TAGS = {
+  SHOW: 'show',
+  BEGINNERS: 'beginners',
 };
 
 /* ========================= Tunables ========================= */
@@ -17,45 +36,141 @@ const MAX_SCORE_WINDOW = 420;
 const BAND_SIZE = 150;
 const MAX_BAND_EXPANSION = 4;
 
-// Rematch memory
+// Provisional players (fewer than this many matches) have an untrusted rating:
+// wider grouping tolerance, and they are moved off the most lopsided courts.
+export const PROVISIONAL_MATCHES = 10;
+const PROVISIONAL_WINDOW_EXTRA = 60;
+const PROVISIONAL_BAND_EXTRA = 1;
+const PROVISIONAL_SWAP_GAP = 120;
+
+// Rematch memory (rounds) and default repeat penalties in ELO points
 const REMATCH_MEMORY = 4;
+export const REPEAT_PARTNER_PENALTY = 60;
+export const REPEAT_OPPONENT_PENALTY = 25;
+
+// Team split balance: |P(team1 wins) - 0.5| scaled so that near an even
+// match one cost unit is roughly one ELO point of team-average gap.
+const SPLIT_IMBALANCE_WEIGHT = 700;
 
 // Fairness
 const FAIRNESS_LAG_TOLERANCE = 0.5;
 const MAX_CONSECUTIVE_BENCH = 1;
 
 // Bench bias persistence
-const BIAS_KEY = 'flominton_bench_bias_v2';
 const MAX_BIAS = 0.8;
 const DECAY_PLAY = 0.15;
 const BOOST_BENCH = 0.25;
 
-/* ========================= Mode ========================= */
-let currentMode = safeGetLocal('match_mode') || MATCH_MODES.WINDOW;
-let fairnessPressure = 0;
-let fairnessPressureRounds = 0;
+// Optional left/right preference: cost of a same-handed doubles team when both
+// hands are known. Small, so it only decides between otherwise close splits.
+const SAME_HAND_PENALTY = 20;
+
+// Partner locks / never-pair constraints: cost of breaking one when it can't be avoided
+const CONSTRAINT_PENALTY = 1000;
+const GENDER_FORMAT_PENALTY = 300;
+const CONSTRAINT_REPAIR_PASSES = 8;
+
+// Optimized mode (simulated annealing over the whole court assignment).
+// Bounded by iterations rather than wall-clock time so a seeded round replays exactly.
+const OPTIMIZE_MAX_ITERATIONS = 6000;
+const OPTIMIZE_START_TEMP = 80;
+const OPTIMIZE_WEIGHTS = {
+  spread: 0.5,
+  mustPlay: 1000,
+};
 
-export function setMatchMode(mode) {
-  currentMode = mode === MATCH_MODES.BAND ? MATCH_MODES.BAND : MATCH_MODES.WINDOW;
-  safeSetLocal('match_mode', currentMode);
-}
+// Americano: random restarts when spreading opponents across the schedule
+const AMERICANO_ATTEMPTS = 60;
+const AMERICANO_WORK_BUDGET = 300000;
+const AMERICANO_REFINE_PASSES = 6;
+const AMERICANO_SEARCH_STEPS = 20000;
 
-export function getMatchMode() {
-  return currentMode;
-}
+/* ========================= Engine ========================= */
+
+/**
+ * Everything matchmaking carries from one round to the next: match mode,
+ * fairness pressure, bench bias and partner/opponent history. Nothing is kept
+ * at module level, so engines can run side by side (one per hall), and
+ * toJSON() / MatchmakingEngine.restore() carry one across a reload.
+ */
+export class MatchmakingEngine {
+  constructor(state = {}) {
+    this.mode = validMode(state.mode);
+    this.fairnessPressure = Number(state.fairness_pressure) || 0;
+    this.fairnessPressureRounds = Number(state.fairness_pressure_rounds) || 0;
+    this.bias = { ...(state.bias || {}) };
+    this.playStreaks = { ...(state.play_streaks || {}) };
+    this.pairHistory = new Map(
+      (Array.isArray(state.pair_history) ? state.pair_history : []).map(([key, rounds]) => [
+        key,
+        Array.isArray(rounds) ? rounds.slice() : [],
+      ])
+    );
+  }
+
+  static restore(json) {
+    if (!json) return new MatchmakingEngine();
+    try {
+      return new MatchmakingEngine(typeof json === 'string' ? JSON.parse(json) : json);
+    } catch {
+      return new MatchmakingEngine();
+    }
+  }
+
+  toJSON() {
+    return {
+      mode: this.mode,
+      fairness_pressure: this.fairnessPressure,
+      fairness_pressure_rounds: this.fairnessPressureRounds,
+      bias: { ...this.bias },
+      play_streaks: { ...this.playStreaks },
+      pair_history: Array.from(this.pairHistory, ([key, rounds]) => [key, rounds.slice()]),
+    };
+  }
+
+  setMode(mode) {
+    this.mode = validMode(mode);
+  }
+
+  getMode() {
+    return this.mode;
+  }
+
+  /** New session: forget pair history, pressure and streaks; bench bias carries over. */
+  resetSession() {
+    this.pairHistory = new Map();
+    this.playStreaks = {};
+    this.fairnessPressure = 0;
+    this.fairnessPressureRounds = 0;
+  }
+
+  selectPlayersForRound(present, roundNumber, lastRoundBenched, courtsCount, options) {
+    return selectPlayersForRound(this, present, roundNumber, lastRoundBenched, courtsCount, options);
+  }
+
+  buildMatchesFromPlayers(players, courtsCount, options) {
+    return buildMatchesFromPlayers(this, players, courtsCount, options);
+  }
+
+  buildLadderRound(present, previousMatches, winners, courtsCount, options) {
+    return buildLadderRound(this, present, previousMatches, winners, courtsCount, options);
+  }
+
+  buildAmericanoRound(present, schedule, roundIndex, options) {
+    return buildAmericanoRound(this, present, schedule, roundIndex, options);
+  }
 
-function safeGetLocal(k) {
-  try {
-    return localStorage.getItem(k);
-  } catch {
-    return null;
+  buildMexicanoRound(present, sessionPoints, lastRoundBenched, courtsCount, options) {
+    return buildMexicanoRound(this, present, sessionPoints, lastRoundBenched, courtsCount, options);
+  }
+
+  swapPlayer(matches, outId, incoming, before, options) {
+    return swapPlayer(this, matches, outId, incoming, before, options);
   }
 }
 
-function safeSetLocal(k, v) {
-  try {
-    localStorage.setItem(k, v);
-  } catch {}
+function validMode(mode) {
+  return Object.values(MATCH_MODES).includes(mode) ? mode : MATCH_MODES.WINDOW;
 }
 
 /* ========================= Helpers ========================= */
@@ -81,6 +196,16 @@ function by(fn) {
   };
 }
 
+const byId = by((p) => String(p.id));
+
+/**
+ * Ascending match score; equal scores fall back to id so the order (and
+ * everything built from it) doesn't depend on the input order.
+ */
+function byScore(a, b) {
+  return scoreForMatch(a) - scoreForMatch(b) || byId(a, b);
+}
+
 function chunk(arr, n) {
   const out = [];
   for (let i = 0; i < arr.length; i += n) {
@@ -89,22 +214,6 @@ function chunk(arr, n) {
   return out;
 }
 
-function loadBiasMap() {
-  try {
-    const raw = localStorage.getItem(BIAS_KEY);
-    if (!raw) return {};
-    return JSON.parse(raw) || {};
-  } catch {
-    return {};
-  }
-}
-
-function saveBiasMap(map) {
-  try {
-    localStorage.setItem(BIAS_KEY, JSON.stringify(map));
-  } catch {}
-}
-
 export function scoreForMatch(player) {
   const explicit = Number(player?.match_score);
   if (Number.isFinite(explicit) && explicit > 0) return explicit;
@@ -129,6 +238,11 @@ export function displayTier(player) {
   return eloToTier(scoreForMatch(player));
 }
 
+/** Too few matches for the rating to be trusted yet. */
+export function isProvisional(player) {
+  return Number(player?.matches_played || 0) < PROVISIONAL_MATCHES;
+}
+
 function averageElo(players) {
   if (!players?.length) return 1000;
   return (
@@ -136,29 +250,104 @@ function averageElo(players) {
   );
 }
 
+/* ========================= Random ========================= */
+
+/**
+ * Seeded PRNG (mulberry32). Pass the result as options.rng to make round
+ * generation reproducible; the same seed and inputs give the same round.
+ */
+export function createRng(seed) {
+  let a = Number(seed) >>> 0;
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
 /* ========================= Player selection ========================= */
 
 /**
- * Select 4*courts players using fairness.
+ * Present players that matchmaking may use. Players sitting out are still
+ * present but are neither picked nor benched, so their bench count and bias
+ * hold until they come back.
  */
-export function selectPlayersForRound(
-  present,
+export function availablePlayers(present) {
+  return (present || []).filter((p) => !p.is_sitting_out);
+}
+
+/**
+ * Select 4*courts players using fairness. Moves the engine's fairness
+ * pressure, bench bias and play streaks on by one round. Players sitting out
+ * are skipped. A player who has played their max_consecutive_games in a row
+ * is benched for a round, unless the courts can't be filled without them.
+ *
+ * options.allowSingles   put two leftover players on a free court for singles
+ * options.rng            random source for tie-breaks (defaults to Math.random)
+ * options.arrivals       Map player id -> first round they were present for
+ *                        (missing = there from round 1)
+ * options.latePriority   late arrivals play their first round after arriving
+ * options.normalizeBench compare bench counts per round present, not raw
+ * options.pins           player id -> court number (plays) or 'bench' (sits)
+ */
+function selectPlayersForRound(
+  engine,
+  attending,
   roundNumber,
   lastRoundBenched = new Set(),
-  courtsCount = 4
+  courtsCount = 4,
+  options = {}
 ) {
+  const present = availablePlayers(attending);
   const total = present.length;
-  if (total < 4) return { playing: [], benched: present.slice() };
+  const minPlayers = options.allowSingles ? 2 : 4;
+  if (total < minPlayers) return { playing: [], benched: present.slice() };
 
   const maxSlots = courtsCount * 4;
-  const need = Math.min(total - (total % 4), maxSlots);
+  let need = Math.min(total - (total % 4), maxSlots);
+  if (options.allowSingles && total - need >= 2 && need / 4 < courtsCount) need += 2;
   if (need <= 0) return { playing: [], benched: present.slice() };
 
-  const biasMap = loadBiasMap();
+  const biasMap = engine.bias;
+
+  const rng = options.rng || Math.random;
+  const tieBreak = new Map(present.slice().sort(byId).map((p) => [p.id, rng()]));
+
+  const arrivals = options.arrivals || new Map();
+  const lateIds = new Set(
+    options.latePriority
+      ? present
+          .filter((p) => {
+            const arrived = Number(arrivals.get(p.id) || 1);
+            return arrived > 1 && Number(p.last_played_round || 0) < arrived;
+          })
+          .map((p) => p.id)
+      : []
+  );
+
+  const benchOf = (p) => benchCountFor(p, roundNumber, arrivals, options.normalizeBench);
+
+  const pins = options.pins || {};
+  const courtPinned = new Set(present.filter((p) => Number(pins[p.id]) > 0).map((p) => p.id));
+  const benchPinned = new Set(present.filter((p) => pins[p.id] === 'bench').map((p) => p.id));
 
   const ranked = present.slice().sort((a, b) => {
-    const benchA = Number(a.bench_count || 0);
-    const benchB = Number(b.bench_count || 0);
+    const pinA = courtPinned.has(a.id) ? 1 : 0;
+    const pinB = courtPinned.has(b.id) ? 1 : 0;
+    if (pinA !== pinB) return pinB - pinA;
+
+    const lateA = lateIds.has(a.id) ? 1 : 0;
+    const lateB = lateIds.has(b.id) ? 1 : 0;
+    if (lateA !== lateB) return lateB - lateA;
+
+    const benchA = benchOf(a);
+    const benchB = benchOf(b);
 
     const debtA = lastRoundBenched?.has(a.id) ? 0.5 : 0;
     const debtB = lastRoundBenched?.has(b.id) ? 0.5 : 0;
@@ -175,52 +364,70 @@ export function selectPlayersForRound(
     const lpb = Number(b.last_played_round || 0);
     if (lpa !== lpb) return lpa - lpb;
 
-    return Math.random() - 0.5;
+    return tieBreak.get(a.id) - tieBreak.get(b.id);
   });
 
-  const benchCounts = present.map((p) => Number(p.bench_count || 0));
+  const benchCounts = present.map(benchOf);
   const avgBench =
     benchCounts.reduce((sum, x) => sum + x, 0) / Math.max(1, benchCounts.length);
   const sdBench = stddev(benchCounts);
 
   if (sdBench > 2.0) {
-    fairnessPressure = 2;
-    fairnessPressureRounds = 2;
+    engine.fairnessPressure = 2;
+    engine.fairnessPressureRounds = 2;
   } else if (sdBench > 1.5) {
-    fairnessPressure = 1;
-    fairnessPressureRounds = 1;
+    engine.fairnessPressure = 1;
+    engine.fairnessPressureRounds = 1;
   } else {
-    if (fairnessPressureRounds > 0) {
-      fairnessPressureRounds -= 1;
-      if (fairnessPressureRounds <= 0) fairnessPressure = 0;
+    if (engine.fairnessPressureRounds > 0) {
+      engine.fairnessPressureRounds -= 1;
+      if (engine.fairnessPressureRounds <= 0) engine.fairnessPressure = 0;
     } else {
-      fairnessPressure = 0;
+      engine.fairnessPressure = 0;
     }
   }
 
   const laggingIds = new Set(
     present
-      .filter((p) => Number(p.bench_count || 0) > avgBench + FAIRNESS_LAG_TOLERANCE)
+      .filter((p) => lateIds.has(p.id) || benchOf(p) > avgBench + FAIRNESS_LAG_TOLERANCE)
       .map((p) => p.id)
   );
 
+  const candidates = ranked.filter((p) => !benchPinned.has(p.id));
+  const restingIds = restingPlayerIds(
+    candidates.filter((p) => !courtPinned.has(p.id)),
+    engine.playStreaks,
+    need - courtPinned.size
+  );
+  const pool = candidates.filter((p) => !restingIds.has(p.id));
+
   const playing = [];
 
-  for (const p of ranked) {
+  for (const p of pool) {
     if (laggingIds.has(p.id) && playing.length < need) {
       playing.push({ ...p, _mustPlay: true });
     }
   }
 
-  for (const p of ranked) {
+  for (const p of pool) {
     if (playing.length >= need) break;
     if (!playing.find((x) => x.id === p.id)) {
       playing.push({ ...p });
     }
   }
 
+  // Bench pins can leave the pool short: drop players to whole courts, plus
+  // a singles pair when singles are allowed.
+  const wholeCourts = (n) => n % 4 === 0 || (options.allowSingles && n % 4 === 2);
+  if (playing.length < need) {
+    for (let i = playing.length - 1; i >= 0 && !wholeCourts(playing.length); i--) {
+      if (!courtPinned.has(playing[i].id)) playing.splice(i, 1);
+    }
+  }
+
   const playingIds = new Set(playing.map((p) => p.id));
-  const benched = present.filter((p) => !playingIds.has(p.id));
+  const benched = pool.filter((p) => !playingIds.has(p.id));
+  const keepIds = new Set([...laggingIds, ...courtPinned]);
 
   if (benched.length > 0 && MAX_CONSECUTIVE_BENCH > 0 && lastRoundBenched?.size > 0) {
     for (let i = 0; i < benched.length; i++) {
@@ -228,7 +435,7 @@ export function selectPlayersForRound(
       if (!lastRoundBenched.has(b.id)) continue;
 
       const swap = playing.find(
-        (p) => !laggingIds.has(p.id) && !lastRoundBenched.has(p.id)
+        (p) => !keepIds.has(p.id) && !lastRoundBenched.has(p.id)
       );
 
       if (swap) {
@@ -239,219 +446,1690 @@ export function selectPlayersForRound(
     }
   }
 
+  if (engine.mode === MATCH_MODES.MIXED) {
+    balanceGenders(playing, benched, mixedFemaleTarget(present, need), lastRoundBenched, keepIds);
+  } else if (engine.mode === MATCH_MODES.LEVEL) {
+    balanceGenders(playing, benched, levelFemaleTarget(present, need), lastRoundBenched, keepIds);
+  }
+
+  enforcePartnerLocks(playing, benched, buildConstraints(present).locks, keepIds);
+
+  benched.push(...ranked.filter((p) => restingIds.has(p.id) || benchPinned.has(p.id)));
+
   for (const p of benched) {
     const cur = biasMap[p.id] || 0;
     biasMap[p.id] = Math.min(MAX_BIAS, cur + BOOST_BENCH);
   }
 
+  // Anyone not on a court this round rested, benched or not.
+  const onCourt = new Set(playing.map((p) => String(p.id)));
+  for (const id of Object.keys(engine.playStreaks)) {
+    if (!onCourt.has(id)) delete engine.playStreaks[id];
+  }
+
   for (const p of playing) {
     const cur = biasMap[p.id] || 0;
     const next = Math.max(0, cur - DECAY_PLAY);
     if (next === 0) delete biasMap[p.id];
     else biasMap[p.id] = next;
+    engine.playStreaks[p.id] = (engine.playStreaks[p.id] || 0) + 1;
   }
 
-  saveBiasMap(biasMap);
-
   return { playing, benched };
 }
 
-/* ========================= Match building ========================= */
+/**
+ * Players owed a rest: they have played their max_consecutive_games in a row.
+ * If resting all of them would leave courts short, the ones furthest past
+ * their limit rest and the rest play.
+ */
+function restingPlayerIds(ranked, streaks, need) {
+  const overrun = (p) => (streaks[p.id] || 0) - Number(p.max_consecutive_games || 0);
+  const rank = new Map(ranked.map((p, i) => [p.id, i]));
+  const due = ranked
+    .filter((p) => Number(p.max_consecutive_games || 0) > 0 && overrun(p) >= 0)
+    .sort((a, b) => overrun(b) - overrun(a) || rank.get(b.id) - rank.get(a.id));
+
+  const canRest = Math.max(0, ranked.length - need);
+  return new Set(due.slice(0, canRest).map((p) => p.id));
+}
+
+/**
+ * Bench count used for fairness. Normalized, it is scaled up to the rounds
+ * played so far, so someone benched once in two rounds since arriving ranks
+ * like someone benched three times in six.
+ */
+function benchCountFor(player, roundNumber, arrivals, normalize) {
+  const count = Number(player.bench_count || 0);
+  if (!normalize) return count;
+
+  const roundsSoFar = Math.max(0, Number(roundNumber) - 1);
+  const roundsPresent = Number(roundNumber) - Number(arrivals.get(player.id) || 1);
+  return roundsPresent > 0 ? (count * roundsSoFar) / roundsPresent : count;
+}
+
+/**
+ * Women wanted on court for mixed doubles: half the slots when possible, kept
+ * even so courts split into 2M+2F, and never more than the men can cover.
+ */
+function mixedFemaleTarget(present, need) {
+  const females = present.filter((p) => p.gender === 'F').length;
+  const males = present.length - females;
+
+  let target = Math.min(Math.floor(need / 2), females);
+  if (target % 2 === 1) target -= 1;
+  return clamp(target, Math.max(0, need - males), Math.min(need, females));
+}
+
+/**
+ * Women wanted on court for level doubles: women's courts in proportion to the
+ * women present, each a full four, with any remainder going to an open court.
+ */
+function levelFemaleTarget(present, need) {
+  const females = present.filter((p) => p.gender === 'F').length;
+  const males = present.length - females;
+  const courts = Math.floor(need / 4);
+
+  let womenCourts = clamp(Math.round((courts * females) / present.length), 0, Math.floor(females / 4));
+  let menCourts = courts - womenCourts;
+
+  if (menCourts * 4 > males) {
+    menCourts = Math.floor(males / 4);
+    womenCourts = Math.min(courts - menCourts, Math.floor(females / 4));
+  }
+
+  const openSlots = courts * 4 - 4 * (womenCourts + menCourts);
+  const target = womenCourts * 4 + Math.min(females - womenCourts * 4, openSlots);
+  return clamp(target, Math.max(0, need - males), Math.min(need, females));
+}
+
+/**
+ * Swap players between playing and benched until `femaleTarget` women are on
+ * court. Benched players keep their fairness order (benched is ranked order);
+ * must-play and just-benched players are the last to be swapped out.
+ */
+function balanceGenders(playing, benched, femaleTarget, lastRoundBenched, laggingIds) {
+  const protectedRank = (p) =>
+    (laggingIds.has(p.id) ? 2 : 0) + (lastRoundBenched?.has(p.id) ? 1 : 0);
+
+  let females = playing.filter((p) => p.gender === 'F').length;
+
+  while (females !== femaleTarget) {
+    const outGender = females > femaleTarget ? 'F' : 'M';
+    const inGender = outGender === 'F' ? 'M' : 'F';
+
+    const inIdx = benched.findIndex((p) => p.gender === inGender);
+    if (inIdx < 0) break;
+
+    let outIdx = -1;
+    for (let i = playing.length - 1; i >= 0; i--) {
+      if (playing[i].gender !== outGender) continue;
+      if (outIdx < 0 || protectedRank(playing[i]) < protectedRank(playing[outIdx])) outIdx = i;
+    }
+    if (outIdx < 0) break;
+
+    const out = playing[outIdx];
+    playing[outIdx] = { ...benched[inIdx] };
+    benched.splice(inIdx, 1, out);
+
+    females += inGender === 'F' ? 1 : -1;
+  }
+}
+
+/**
+ * Locked partners play or sit together. A locked player selected to play
+ * pulls their partner in over the lowest-ranked unlocked player; if there is
+ * nobody to swap out, the locked player sits out with their partner instead.
+ */
+function enforcePartnerLocks(playing, benched, locks, laggingIds) {
+  if (!locks.size) return;
+
+  for (let i = 0; i < playing.length; i++) {
+    const p = playing[i];
+    const partnerId = locks.get(p.id);
+    if (!partnerId || playing.some((x) => x.id === partnerId)) continue;
+
+    const partnerIdx = benched.findIndex((x) => x.id === partnerId);
+    if (partnerIdx < 0) continue;
+
+    let outIdx = -1;
+    for (let j = playing.length - 1; j >= 0; j--) {
+      const candidate = playing[j];
+      if (j === i || locks.has(candidate.id) || laggingIds.has(candidate.id)) continue;
+      outIdx = j;
+      break;
+    }
+
+    if (outIdx >= 0) {
+      const out = playing[outIdx];
+      playing[outIdx] = { ...benched[partnerIdx] };
+      benched.splice(partnerIdx, 1, out);
+      continue;
+    }
+
+    const inIdx = benched.findIndex((x) => !locks.has(x.id));
+    if (inIdx < 0) continue;
+
+    playing[i] = { ...benched[inIdx] };
+    benched.splice(inIdx, 1, p);
+  }
+}
 
-export function buildMatchesFromPlayers(players, teammateHistory = new Map(), courtsCount = 4) {
-  if (!players || players.length < 4) return [];
+/* ========================= Match building ========================= */
 
-  const sorted = players.slice().sort((a, b) => scoreForMatch(a) - scoreForMatch(b));
+/**
+ * Group players into courts and split each court into two teams.
+ *
+ * options.round           round being built (defaults to one past the latest in history)
+ * options.partnerPenalty  cost of repeating a recent partnership
+ * options.opponentPenalty cost of repeating a recent opponent
+ * options.allowSingles    two players left over from the fours play singles on a free court
+ * options.rng             random source for the optimizer (defaults to Math.random)
+ * options.pins            player id -> court number; pinned players are moved onto that court
+ * options.handedness      prefer left/right partnerships when splitting teams
+ */
+function buildMatchesFromPlayers(
+  engine,
+  allPlayers,
+  courtsCount = 4,
+  options = {}
+) {
+  const singlesCourt =
+    !!options.allowSingles &&
+    (allPlayers?.length || 0) % 4 >= 2 &&
+    Math.floor(allPlayers.length / 4) < courtsCount;
+
+  if (!allPlayers || allPlayers.length < (singlesCourt ? 2 : 4)) return [];
+
+  const ctx = buildContext(engine, allPlayers, options);
+  const pins = options.pins || {};
+  const singles = singlesCourt
+    ? pickSinglesPair(allPlayers.filter((p) => !(Number(pins[p.id]) > 0)), ctx)
+    : null;
+  const players = singles
+    ? allPlayers.filter((p) => p.id !== singles[0].id && p.id !== singles[1].id)
+    : allPlayers;
+
+  const sorted = players.slice().sort(byScore);
   const totalCourts = Math.min(courtsCount, Math.floor(sorted.length / 4));
 
   let groups = [];
 
-  if (currentMode === MATCH_MODES.BAND) {
-    groups = makeGroupsBand(sorted, totalCourts, fairnessPressure);
+  const pressure = engine.fairnessPressure;
+
+  if (ctx.mode === MATCH_MODES.MIXED) {
+    groups = makeGroupsMixed(sorted, totalCourts);
+  } else if (ctx.mode === MATCH_MODES.LEVEL) {
+    groups = makeGroupsLevel(sorted, totalCourts, pressure, ctx);
+  } else if (ctx.mode === MATCH_MODES.OPTIMIZED) {
+    groups = makeGroupsOptimized(sorted, totalCourts, pressure, ctx);
+  } else if (ctx.mode === MATCH_MODES.BAND) {
+    groups = settleProvisional(makeGroupsBand(sorted, totalCourts, pressure, ctx));
   } else {
-    groups = makeGroupsWindow(sorted, totalCourts, fairnessPressure);
+    groups = settleProvisional(makeGroupsWindow(sorted, totalCourts, pressure, ctx));
   }
 
-  if (groups.length !== totalCourts) {
+  const fallback = groups.length !== totalCourts;
+  if (fallback) {
     const prioritized = players
       .slice()
       .sort((a, b) => {
         const am = a._mustPlay ? -1 : 0;
         const bm = b._mustPlay ? -1 : 0;
         if (am !== bm) return am - bm;
-        return scoreForMatch(a) - scoreForMatch(b);
+        return byScore(a, b);
       });
 
     groups = chunk(prioritized, 4).slice(0, totalCourts);
   }
 
-  const matches = [];
-  let courtNo = 1;
-
-  for (const g of groups) {
-    const quad = g.slice().sort((a, b) => scoreForMatch(a) - scoreForMatch(b));
-    const team1 = [quad[0], quad[3]];
-    const team2 = [quad[1], quad[2]];
+  groups = repairConstraints(groups, ctx);
+  groups = applyCourtPins(groups, pins);
 
-    addPair(team1[0], team1[1], teammateHistory);
-    addPair(team2[0], team2[1], teammateHistory);
-    trimHistory(teammateHistory, REMATCH_MEMORY);
+  const matches = groups.map((g, i) => buildMatch(g, i + 1, groups, ctx));
 
-    const allScores = [...team1, ...team2].map(scoreForMatch);
+  if (singles) {
+    const [team1, team2] = [[singles[0]], [singles[1]]];
+    const repeats = repeatPairs(team1, team2, ctx);
+    recordMatchHistory(team1, team2, ctx.history, ctx.round);
     matches.push({
-      court: courtNo++,
-      team1,
-      team2,
-      avg1: averageElo(team1),
-      avg2: averageElo(team2),
-      span: Math.max(...allScores) - Math.min(...allScores),
+      ...matchFromTeams(team1, team2, matches.length + 1),
+      singles: true,
+      explain: { repeats },
     });
   }
 
+  for (const match of matches) {
+    match.explain = explainMatch(match, ctx, { pressure, fallback: fallback && !match.singles });
+  }
+
+  trimHistory(ctx.history, REMATCH_MEMORY);
+
   return matches;
 }
 
-function makeGroupsWindow(sortedPlayers, courtCount, pressure = 0) {
-  const extra = Math.min(pressure, 2) * 40;
-
-  for (
-    let window = START_SCORE_WINDOW;
-    window <= MAX_SCORE_WINDOW + extra;
-    window += 20
-  ) {
-    const groups = greedyWindowGroups(sortedPlayers, courtCount, window, extra);
-    if (groups.length === courtCount) return groups;
+/**
+ * The two closest-rated players (after recent-opponent cost) take the
+ * singles court; everyone else stays in the doubles pool.
+ */
+function pickSinglesPair(players, ctx) {
+  const sorted = players.slice().sort(byScore);
+  let best = null;
+  let bestCost = Infinity;
+
+  for (let i = 0; i + 1 < sorted.length; i++) {
+    const a = sorted[i];
+    const b = sorted[i + 1];
+    const cost =
+      scoreForMatch(b) -
+      scoreForMatch(a) +
+      ctx.opponentPenalty * recentPairWeight(ctx.history, opponentKey(a, b), ctx.round);
+    if (cost < bestCost) {
+      bestCost = cost;
+      best = [a, b];
+    }
   }
 
-  return [];
+  return best;
 }
 
-function greedyWindowGroups(sortedPlayers, courtCount, window, pressureExtra = 0) {
-  const used = new Set();
-  const groups = [];
+function buildContext(engine, players, options = {}) {
+  return {
+    history: engine.pairHistory,
+    mode: engine.mode,
+    round: Number(options.round) || latestHistoryRound(engine.pairHistory) + 1,
+    partnerPenalty: penaltyOr(options.partnerPenalty, REPEAT_PARTNER_PENALTY),
+    opponentPenalty: penaltyOr(options.opponentPenalty, REPEAT_OPPONENT_PENALTY),
+    constraints: buildConstraints(players),
+    rng: options.rng || Math.random,
+    handedness: !!options.handedness,
+    widths: new Map(),
+  };
+}
 
-  for (let i = 0; i < sortedPlayers.length && groups.length < courtCount; i++) {
-    if (used.has(i)) continue;
+/**
+ * Keep provisional players off the most lopsided courts (the widest third by
+ * span): each one there swaps with the closest-rated established player on a
+ * tighter court, if that player is within PROVISIONAL_SWAP_GAP and the
+ * tighter court stays tighter than the lopsided one.
+ */
+function settleProvisional(groups) {
+  if (groups.length < 2 || !groups.some((g) => g.some(isProvisional))) return groups;
 
-    const root = sortedPlayers[i];
-    const rootScore = scoreForMatch(root);
-    const pickIdx = [i];
+  const out = groups.map((g) => g.slice());
+  const spanOf = (g) => {
+    const scores = g.map(scoreForMatch);
+    return Math.max(...scores) - Math.min(...scores);
+  };
+  const lopsided = out
+    .map((g, i) => ({ i, span: spanOf(g) }))
+    .sort((a, b) => b.span - a.span)
+    .slice(0, Math.ceil(out.length / 3));
+
+  for (const { i, span } of lopsided) {
+    for (let j = 0; j < out[i].length; j++) {
+      const p = out[i][j];
+      if (!isProvisional(p)) continue;
+
+      let best = null;
+      for (let t = 0; t < out.length; t++) {
+        if (t === i || spanOf(out[t]) >= span) continue;
+        out[t].forEach((q, k) => {
+          if (isProvisional(q) || q._mustPlay !== p._mustPlay) return;
+          const gap = Math.abs(scoreForMatch(q) - scoreForMatch(p));
+          if (gap > PROVISIONAL_SWAP_GAP || (best && gap >= best.gap)) return;
+
+          const there = out[t].map((x, n) => (n === k ? p : x));
+          if (spanOf(there) >= span) return;
+          best = { t, k, gap };
+        });
+      }
 
-    for (let j = i + 1; j < sortedPlayers.length && pickIdx.length < 4; j++) {
-      if (used.has(j) || pickIdx.includes(j)) continue;
+      if (best) [out[i][j], out[best.t][best.k]] = [out[best.t][best.k], p];
+    }
+  }
 
-      const candidate = sortedPlayers[j];
-      const s = scoreForMatch(candidate);
-      const allowExtra = root._mustPlay || candidate._mustPlay ? 40 : 0;
+  return out;
+}
 
-      if (Math.abs(s - rootScore) <= window + allowExtra + pressureExtra) {
-        pickIdx.push(j);
+/**
+ * Move court-pinned players onto their court. Courts are first reordered so
+ * the group holding most of a court's pins takes that number; any pinned
+ * player still elsewhere swaps with the closest-rated unpinned player there.
+ * Pins to a court that isn't in play are ignored.
+ */
+function applyCourtPins(groups, pins) {
+  const courtOf = (p) => Number(pins[p.id]) || 0;
+  if (!groups.some((g) => g.some(courtOf))) return groups;
+
+  const out = groups.map((g) => g.slice());
+
+  for (let c = 1; c <= out.length; c++) {
+    let bestIdx = -1;
+    let bestCount = 0;
+    for (let i = c - 1; i < out.length; i++) {
+      const count = out[i].filter((p) => courtOf(p) === c).length;
+      if (count > bestCount) {
+        bestCount = count;
+        bestIdx = i;
       }
     }
+    if (bestIdx > c - 1) [out[c - 1], out[bestIdx]] = [out[bestIdx], out[c - 1]];
+  }
 
-    for (let j = sortedPlayers.length - 1; j > i && pickIdx.length < 4; j--) {
-      if (used.has(j) || pickIdx.includes(j)) continue;
-
-      const candidate = sortedPlayers[j];
-      const s = scoreForMatch(candidate);
-      const allowExtra = root._mustPlay || candidate._mustPlay ? 40 : 0;
+  for (let i = 0; i < out.length; i++) {
+    let j = 0;
+    while (j < out[i].length) {
+      const p = out[i][j];
+      const c = courtOf(p);
+      if (!c || c === i + 1 || c > out.length) {
+        j++;
+        continue;
+      }
 
-      if (Math.abs(s - rootScore) <= window + allowExtra + pressureExtra) {
-        pickIdx.push(j);
+      const target = out[c - 1];
+      let k = -1;
+      for (let t = 0; t < target.length; t++) {
+        if (courtOf(target[t]) === c) continue;
+        const gap = Math.abs(scoreForMatch(target[t]) - scoreForMatch(p));
+        if (k < 0 || gap < Math.abs(scoreForMatch(target[k]) - scoreForMatch(p))) k = t;
+      }
+      if (k < 0) {
+        j++;
+        continue;
       }
-    }
 
-    if (pickIdx.length >= 4) {
-      pickIdx.sort((a, b) => a - b);
-      const quad = pickIdx.slice(0, 4).map((ix) => sortedPlayers[ix]);
-      for (const ix of pickIdx.slice(0, 4)) used.add(ix);
-      groups.push(quad);
+      [out[i][j], target[k]] = [target[k], p];
     }
   }
 
-  return groups;
+  return out;
 }
 
-function makeGroupsBand(sortedPlayers, courtCount, pressure = 0) {
-  const withBand = sortedPlayers.map((p) => ({ ...p, _band: bandOf(scoreForMatch(p)) }));
-  const extra = Math.min(pressure, 2);
+/**
+ * Split one court's four players into teams and record the pairings.
+ */
+function buildMatch(group, court, groups, ctx) {
+  const quad = group.slice().sort(byScore);
+  const mixable = ctx.mode === MATCH_MODES.MIXED && isMixableQuad(quad);
+  const { team1, team2 } = pickTeamSplit(quad, ctx, mixable ? isMixedSplit : null);
+  const repeats = repeatPairs(team1, team2, ctx);
 
-  for (let bandWindow = 0; bandWindow <= MAX_BAND_EXPANSION + extra; bandWindow++) {
-    const groups = greedyBandGroups(withBand, courtCount, bandWindow, extra);
-    if (groups.length === courtCount) return groups;
-  }
+  recordMatchHistory(team1, team2, ctx.history, ctx.round);
 
-  return [];
+  const match = matchFromTeams(team1, team2, court);
+  match.explain = { repeats };
+
+  if (ctx.mode === MATCH_MODES.MIXED) match.mixed = mixable;
+  if (ctx.mode === MATCH_MODES.LEVEL) match.format = levelFormat(quad);
+
+  const violations = constraintViolations(team1, team2, groups, ctx);
+  if (violations.length) match.violations = violations;
+
+  return match;
 }
 
-function greedyBandGroups(playersWithBand, courtCount, bandWindow, pressureExtra = 0) {
-  const used = new Set();
-  const groups = [];
+/**
+ * Recent partners/opponents on a court and what each repeat cost, read before
+ * this round's pairings are recorded.
+ */
+function repeatPairs(team1, team2, ctx) {
+  const repeats = [];
+  const note = (type, a, b, key, penalty) => {
+    const weight = recentPairWeight(ctx.history, key, ctx.round);
+    if (weight > 0) {
+      repeats.push({ type, players: [a.name, b.name], penalty: Math.round(weight * penalty) });
+    }
+  };
 
-  for (let i = 0; i < playersWithBand.length && groups.length < courtCount; i++) {
-    if (used.has(i)) continue;
+  for (const team of [team1, team2]) {
+    if (team.length === 2) note('partner', team[0], team[1], pairKey(team[0], team[1]), ctx.partnerPenalty);
+  }
+  for (const a of team1) {
+    for (const b of team2) note('opponent', a, b, opponentKey(a, b), ctx.opponentPenalty);
+  }
 
-    const root = playersWithBand[i];
-    const minBand = root._band;
-    const pickIdx = [i];
+  return repeats;
+}
 
-    for (let j = i + 1; j < playersWithBand.length && pickIdx.length < 4; j++) {
-      if (used.has(j) || pickIdx.includes(j)) continue;
+/**
+ * Why a court came out the way it did: the mode, the window or band width the
+ * grouping succeeded at, fairness pressure, who had to play, who is still
+ * provisional, whether the plain chunk fallback was used, and any repeat-pair
+ * penalties.
+ */
+function explainMatch(match, ctx, info) {
+  const players = [...match.team1, ...match.team2];
+  const widths = players.map((p) => ctx.widths.get(p.id)).filter(Boolean);
 
-      const candidate = playersWithBand[j];
-      const bj = candidate._band;
-      const allowExtra = root._mustPlay || candidate._mustPlay ? 1 : 0;
+  return {
+    mode: ctx.mode,
+    width: match.singles || ctx.mode === MATCH_MODES.OPTIMIZED ? null : widths[0] || null,
+    fairness_pressure: info.pressure,
+    must_play: players.filter((p) => p._mustPlay).map((p) => p.name),
+    provisional: players.filter(isProvisional).map((p) => p.name),
+    fallback: info.fallback,
+    repeats: match.explain?.repeats || [],
+  };
+}
 
-      if (Math.abs(bj - minBand) <= bandWindow + allowExtra + pressureExtra) {
-        pickIdx.push(j);
-      }
-    }
+function matchFromTeams(team1, team2, court) {
+  const allScores = [...team1, ...team2].map(scoreForMatch);
+  return {
+    court,
+    team1,
+    team2,
+    avg1: averageElo(team1),
+    avg2: averageElo(team2),
+    span: Math.max(...allScores) - Math.min(...allScores),
+  };
+}
 
-    for (let j = playersWithBand.length - 1; j > i && pickIdx.length < 4; j--) {
-      if (used.has(j) || pickIdx.includes(j)) continue;
+/**
+ * Put benched `incoming` in place of player `outId` in a built round, as if
+ * the round had been built that way. Both players' bias and play streak are
+ * redone from `before` (the engine state the round was built from; without it
+ * the round's bias step is backed out of the current values), their pair
+ * history for the round is rewritten, and the court's averages, flags,
+ * violations and explanation are recomputed. Returns the new matches.
+ */
+function swapPlayer(engine, matches, outId, incoming, before = null, options = {}) {
+  const match = matches.find((m) => [...m.team1, ...m.team2].some((p) => p.id === outId));
+  if (!match) return matches;
 
-      const candidate = playersWithBand[j];
-      const bj = candidate._band;
-      const allowExtra = root._mustPlay || candidate._mustPlay ? 1 : 0;
+  const priorBias = before?.bias || {
+    [outId]: Math.min(MAX_BIAS, (engine.bias[outId] || 0) + DECAY_PLAY),
+    [incoming.id]: Math.max(0, (engine.bias[incoming.id] || 0) - BOOST_BENCH),
+  };
+  const priorStreaks = before?.play_streaks || {};
+  const played = Math.max(0, (priorBias[incoming.id] || 0) - DECAY_PLAY);
 
-      if (Math.abs(bj - minBand) <= bandWindow + allowExtra + pressureExtra) {
-        pickIdx.push(j);
-      }
-    }
+  engine.bias[outId] = Math.min(MAX_BIAS, (priorBias[outId] || 0) + BOOST_BENCH);
+  if (played === 0) delete engine.bias[incoming.id];
+  else engine.bias[incoming.id] = played;
 
-    if (pickIdx.length >= 4) {
-      pickIdx.sort((a, b) => a - b);
-      const quad = pickIdx.slice(0, 4).map((ix) => stripBand(playersWithBand[ix]));
-      for (const ix of pickIdx.slice(0, 4)) used.add(ix);
-      groups.push(quad);
-    }
-  }
+  delete engine.playStreaks[outId];
+  engine.playStreaks[incoming.id] = (priorStreaks[incoming.id] || 0) + 1;
 
-  return groups;
-}
+  const swap = (team) => team.map((p) => (p.id === outId ? { ...incoming } : p));
+  const [team1, team2] = [swap(match.team1), swap(match.team2)];
+  const groups = matches.map((m) => (m === match ? [...team1, ...team2] : [...m.team1, ...m.team2]));
+  const ctx = buildContext(engine, groups.flat(), options);
 
-function bandOf(score) {
-  return Math.max(0, Math.floor((score - 700) / BAND_SIZE));
-}
+  forgetMatchHistory(match.team1, match.team2, ctx.history, ctx.round);
+  const next = swapMatchPlayer(match, team1, team2, groups, ctx);
+  const outgoing = [...match.team1, ...match.team2].find((p) => p.id === outId);
+  next.explain.swapped = { out: outgoing.name, in: incoming.name };
 
-function stripBand(p) {
-  const { _band, ...rest } = p;
-  return rest;
+  return matches.map((m) => (m === match ? next : m));
 }
 
-/* ========================= ELO helpers ========================= */
+/**
+ * A built match with new teams: averages, mixed/format flags, constraint
+ * violations and repeat pairs are worked out again and the pairings recorded.
+ * The grouping width no longer applies, so the explanation drops it.
+ */
+function swapMatchPlayer(match, team1, team2, groups, ctx) {
+  const quad = [...team1, ...team2];
+  const repeats = repeatPairs(team1, team2, ctx);
+  recordMatchHistory(team1, team2, ctx.history, ctx.round);
+
+  const next = { ...match, ...matchFromTeams(team1, team2, match.court) };
+  delete next.mixed;
+  delete next.format;
+  delete next.violations;
+
+  if (ctx.mode === MATCH_MODES.MIXED && !match.singles) next.mixed = isMixedSplit({ team1, team2 });
+  if (ctx.mode === MATCH_MODES.LEVEL && !match.singles) next.format = levelFormat(quad);
+
+  const violations = constraintViolations(team1, team2, groups, ctx);
+  if (violations.length) next.violations = violations;
+
+  next.explain = {
+    ...(match.explain || {}),
+    width: null,
+    must_play: quad.filter((p) => p._mustPlay).map((p) => p.name),
+    provisional: quad.filter(isProvisional).map((p) => p.name),
+    repeats,
+  };
 
-export function expectedScore(teamAvgA, teamAvgB) {
-  return 1 / (1 + Math.pow(10, (teamAvgB - teamAvgA) / 400));
+  return next;
 }
 
-export function calculateMatchElo(match, winnerTeam, kFactor = 24) {
-  if (!match || (winnerTeam !== 1 && winnerTeam !== 2)) {
-    return { updates: [] };
+/**
+ * Move matches built on court slots 1..n onto the hall's courts, given in
+ * play order as { number, name, tag }. Without tags slot i takes the i-th
+ * court. Show courts are filled first with the strongest matches and
+ * beginners-only courts last with the weakest; untagged courts take the rest
+ * in order. Slots in options.fixed (pinned courts) and every slot when
+ * options.keepOrder is set (ladder) stay on the i-th court.
+ */
+export function assignCourts(matches, courts, options = {}) {
+  const place = (m, court) => ({
+    ...m,
+    court: court?.number ?? m.court,
+    court_name: court?.name || null,
+    court_tag: court?.tag || null,
+  });
+
+  if (options.keepOrder || !courts.some((c) => c.tag)) {
+    return matches.map((m) => place(m, courts[m.court - 1]));
   }
 
-  const team1Avg = averageElo(match.team1);
-  const team2Avg = averageElo(match.team2);
+  const fixed = options.fixed || new Set();
+  const placed = new Map();
+  for (const m of matches) {
+    if (fixed.has(m.court) && courts[m.court - 1]) placed.set(m, courts[m.court - 1]);
+  }
+
+  const taken = new Set([...placed.values()]);
+  const free = courts.filter((c) => !taken.has(c));
+  const rank = (c) => (c.tag === COURT_TAGS.SHOW ? 0 : c.tag === COURT_TAGS.BEGINNERS ? 2 : 1);
+  const chosen = free
+    .map((c, i) => ({ c, i }))
+    .sort((a, b) => rank(a.c) - rank(b.c) || a.i - b.i)
+    .slice(0, matches.length - placed.size)
+    .map((x) => x.c)
+    .sort((a, b) => rank(a) - rank(b) || courts.indexOf(a) - courts.indexOf(b));
+
+  const strength = (m) => ((m.avg1 || 0) + (m.avg2 || 0)) / 2;
+  const open = matches
+    .filter((m) => !placed.has(m))
+    .sort((a, b) => strength(b) - strength(a) || a.court - b.court);
+  open.forEach((m, i) => placed.set(m, chosen[i]));
+
+  return matches
+    .map((m) => place(m, placed.get(m)))
+    .sort((a, b) => courtOrder(courts, a.court) - courtOrder(courts, b.court));
+}
+
+function courtOrder(courts, number) {
+  const i = courts.findIndex((c) => c.number === number);
+  return i < 0 ? Infinity : i;
+}
+
+function penaltyOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * The three ways to split a sorted quad into doubles teams. The classic
+ * low+high vs middle split comes first so it wins ties.
+ */
+function teamSplits(quad) {
+  return [
+    { team1: [quad[0], quad[3]], team2: [quad[1], quad[2]] },
+    { team1: [quad[0], quad[2]], team2: [quad[1], quad[3]] },
+    { team1: [quad[0], quad[1]], team2: [quad[2], quad[3]] },
+  ];
+}
+
+/**
+ * Choose the split with the most even predicted result, after repeat costs.
+ * `allow` optionally restricts which splits may be used.
+ */
+function pickTeamSplit(quad, ctx, allow = null) {
+  return bestTeamSplit(quad, ctx, allow).split;
+}
+
+function bestTeamSplit(quad, ctx, allow = null) {
+  let best = null;
+  let bestCost = Infinity;
+
+  for (const split of teamSplits(quad)) {
+    if (allow && !allow(split)) continue;
+
+    const cost =
+      splitImbalanceCost(split.team1, split.team2) +
+      splitRepeatCost(split.team1, split.team2, ctx) +
+      splitConstraintCost(split.team1, split.team2, ctx) +
+      splitHandednessCost(split.team1, split.team2, ctx);
+    if (cost < bestCost) {
+      best = split;
+      bestCost = cost;
+    }
+  }
+
+  return { split: best, cost: bestCost };
+}
+
+function splitImbalanceCost(team1, team2) {
+  const exp1 = expectedScore(averageElo(team1), averageElo(team2));
+  return Math.abs(exp1 - 0.5) * SPLIT_IMBALANCE_WEIGHT;
+}
+
+function splitHandednessCost(team1, team2, ctx) {
+  if (!ctx?.handedness) return 0;
+  let cost = 0;
+  for (const [a, b] of [team1, team2]) {
+    if (!a || !b) continue;
+    const ha = handOf(a);
+    if (ha && ha === handOf(b)) cost += SAME_HAND_PENALTY;
+  }
+  return cost;
+}
+
+/** 'R' or 'L', or null when unknown. */
+function handOf(player) {
+  return player?.handedness === 'L' || player?.handedness === 'R' ? player.handedness : null;
+}
+
+function splitRepeatCost(team1, team2, ctx) {
+  let cost =
+    ctx.partnerPenalty *
+    (recentPairWeight(ctx.history, pairKey(team1[0], team1[1]), ctx.round) +
+      recentPairWeight(ctx.history, pairKey(team2[0], team2[1]), ctx.round));
+
+  for (const a of team1) {
+    for (const b of team2) {
+      cost += ctx.opponentPenalty * recentPairWeight(ctx.history, opponentKey(a, b), ctx.round);
+    }
+  }
+
+  return cost;
+}
+
+/**
+ * Cost of putting a candidate on the same court as the players already picked.
+ * We don't know yet whether they will partner or oppose, so both histories count.
+ */
+function courtmateRepeatCost(candidate, picked, ctx) {
+  if (!ctx) return 0;
+  let cost = 0;
+  for (const p of picked) {
+    cost += ctx.partnerPenalty * recentPairWeight(ctx.history, pairKey(candidate, p), ctx.round);
+    cost += ctx.opponentPenalty * recentPairWeight(ctx.history, opponentKey(candidate, p), ctx.round);
+  }
+  return cost;
+}
+
+/**
+ * From the eligible indices, pick courtmates for the root closest in score,
+ * pushing recently seen partners/opponents further away.
+ */
+function pickCourtmates(sortedPlayers, rootIdx, eligible, ctx) {
+  const rootScore = scoreForMatch(sortedPlayers[rootIdx]);
+  const pickIdx = [rootIdx];
+  const remaining = eligible.slice();
+
+  while (pickIdx.length < 4 && remaining.length) {
+    const picked = pickIdx.map((ix) => sortedPlayers[ix]);
+    let bestPos = 0;
+    let bestCost = Infinity;
+
+    remaining.forEach((ix, pos) => {
+      const candidate = sortedPlayers[ix];
+      const cost =
+        Math.abs(scoreForMatch(candidate) - rootScore) +
+        courtmateRepeatCost(candidate, picked, ctx) +
+        courtmateConstraintCost(candidate, picked, ctx);
+      if (cost < bestCost) {
+        bestCost = cost;
+        bestPos = pos;
+      }
+    });
+
+    pickIdx.push(remaining[bestPos]);
+    remaining.splice(bestPos, 1);
+  }
+
+  return pickIdx;
+}
+
+function makeGroupsWindow(sortedPlayers, courtCount, pressure = 0, ctx = null) {
+  const extra = Math.min(pressure, 2) * 40;
+
+  for (
+    let window = START_SCORE_WINDOW;
+    window <= MAX_SCORE_WINDOW + extra;
+    window += 20
+  ) {
+    const groups = greedyWindowGroups(sortedPlayers, courtCount, window, extra, ctx);
+    if (groups.length === courtCount) {
+      noteWidth(ctx, groups, { window, pressure_extra: extra });
+      return groups;
+    }
+  }
+
+  return [];
+}
+
+/** Remember the tolerance each grouped player was placed under, for explainMatch. */
+function noteWidth(ctx, groups, width) {
+  if (!ctx?.widths) return;
+  for (const g of groups) for (const p of g) ctx.widths.set(p.id, width);
+}
+
+function greedyWindowGroups(sortedPlayers, courtCount, window, pressureExtra = 0, ctx = null) {
+  const used = new Set();
+  const groups = [];
+
+  for (let i = 0; i < sortedPlayers.length && groups.length < courtCount; i++) {
+    if (used.has(i)) continue;
+
+    const root = sortedPlayers[i];
+    const rootScore = scoreForMatch(root);
+    const eligible = [];
+
+    for (let j = i + 1; j < sortedPlayers.length; j++) {
+      if (used.has(j)) continue;
+
+      const candidate = sortedPlayers[j];
+      const s = scoreForMatch(candidate);
+      const allowExtra =
+        (root._mustPlay || candidate._mustPlay ? 40 : 0) +
+        (isProvisional(root) || isProvisional(candidate) ? PROVISIONAL_WINDOW_EXTRA : 0);
+
+      if (Math.abs(s - rootScore) <= window + allowExtra + pressureExtra) {
+        eligible.push(j);
+      }
+    }
+
+    const pickIdx = pickCourtmates(sortedPlayers, i, eligible, ctx);
+
+    if (pickIdx.length >= 4) {
+      pickIdx.sort((a, b) => a - b);
+      const quad = pickIdx.slice(0, 4).map((ix) => sortedPlayers[ix]);
+      for (const ix of pickIdx.slice(0, 4)) used.add(ix);
+      groups.push(quad);
+    }
+  }
+
+  return groups;
+}
+
+function makeGroupsBand(sortedPlayers, courtCount, pressure = 0, ctx = null) {
+  const withBand = sortedPlayers.map((p) => ({ ...p, _band: bandOf(scoreForMatch(p)) }));
+  const extra = Math.min(pressure, 2);
+
+  for (let bandWindow = 0; bandWindow <= MAX_BAND_EXPANSION + extra; bandWindow++) {
+    const groups = greedyBandGroups(withBand, courtCount, bandWindow, extra, ctx);
+    if (groups.length === courtCount) {
+      noteWidth(ctx, groups, { band_window: bandWindow, pressure_extra: extra });
+      return groups;
+    }
+  }
+
+  return [];
+}
+
+function greedyBandGroups(playersWithBand, courtCount, bandWindow, pressureExtra = 0, ctx = null) {
+  const used = new Set();
+  const groups = [];
+
+  for (let i = 0; i < playersWithBand.length && groups.length < courtCount; i++) {
+    if (used.has(i)) continue;
+
+    const root = playersWithBand[i];
+    const minBand = root._band;
+    const eligible = [];
+
+    for (let j = i + 1; j < playersWithBand.length; j++) {
+      if (used.has(j)) continue;
+
+      const candidate = playersWithBand[j];
+      const bj = candidate._band;
+      const allowExtra =
+        (root._mustPlay || candidate._mustPlay ? 1 : 0) +
+        (isProvisional(root) || isProvisional(candidate) ? PROVISIONAL_BAND_EXTRA : 0);
+
+      if (Math.abs(bj - minBand) <= bandWindow + allowExtra + pressureExtra) {
+        eligible.push(j);
+      }
+    }
+
+    const pickIdx = pickCourtmates(playersWithBand, i, eligible, ctx);
+
+    if (pickIdx.length >= 4) {
+      pickIdx.sort((a, b) => a - b);
+      const quad = pickIdx.slice(0, 4).map((ix) => stripBand(playersWithBand[ix]));
+      for (const ix of pickIdx.slice(0, 4)) used.add(ix);
+      groups.push(quad);
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Search the whole court assignment instead of building courts greedily.
+ * Starts from the window result (or a plain chunking) and anneals with
+ * random swaps between courts and the sit-out pool for a fixed number of
+ * iterations. Cost per court = rating span + best split cost; every _mustPlay player
+ * left off court adds a large penalty.
+ */
+function makeGroupsOptimized(sortedPlayers, courtCount, pressure = 0, ctx = null) {
+  if (courtCount <= 0) return [];
+
+  const slotCount = courtCount * 4;
+  const spreadWeight = OPTIMIZE_WEIGHTS.spread / (1 + Math.min(pressure, 2));
+
+  const initial = makeGroupsWindow(sortedPlayers, courtCount, pressure, ctx);
+  const order = initial.length === courtCount ? initial.flat() : [];
+  const inOrder = new Set(order.map((p) => p.id));
+  const slots = [...order, ...sortedPlayers.filter((p) => !inOrder.has(p.id))];
+
+  const courtCost = (c) => {
+    const quad = slots
+      .slice(c * 4, c * 4 + 4)
+      .sort(byScore);
+    const span = scoreForMatch(quad[3]) - scoreForMatch(quad[0]);
+    return (
+      spreadWeight * span +
+      bestTeamSplit(quad, ctx).cost +
+      CONSTRAINT_PENALTY * groupConstraintViolations(quad, ctx)
+    );
+  };
+
+  const mustPlayCost = (p) => (p._mustPlay ? OPTIMIZE_WEIGHTS.mustPlay : 0);
+
+  const costs = [];
+  for (let c = 0; c < courtCount; c++) costs.push(courtCost(c));
+  let benchCost = slots.slice(slotCount).reduce((sum, p) => sum + mustPlayCost(p), 0);
+  let total = costs.reduce((sum, x) => sum + x, 0) + benchCost;
+
+  let best = slots.slice();
+  let bestTotal = total;
+
+  const rng = ctx?.rng || Math.random;
+
+  for (let iter = 0; iter < OPTIMIZE_MAX_ITERATIONS; iter++) {
+    const a = Math.floor(rng() * slotCount);
+    const b = Math.floor(rng() * slots.length);
+    const courtA = Math.floor(a / 4);
+    const courtB = b < slotCount ? Math.floor(b / 4) : -1;
+    if (courtA === courtB) continue;
+
+    [slots[a], slots[b]] = [slots[b], slots[a]];
+
+    const nextA = courtCost(courtA);
+    const nextB = courtB >= 0 ? courtCost(courtB) : 0;
+    const nextBench =
+      courtB >= 0 ? benchCost : benchCost - mustPlayCost(slots[a]) + mustPlayCost(slots[b]);
+
+    const delta =
+      nextA - costs[courtA] + (courtB >= 0 ? nextB - costs[courtB] : 0) + nextBench - benchCost;
+
+    const temp = OPTIMIZE_START_TEMP * (1 - iter / OPTIMIZE_MAX_ITERATIONS);
+
+    if (delta <= 0 || (temp > 0 && rng() < Math.exp(-delta / temp))) {
+      costs[courtA] = nextA;
+      if (courtB >= 0) costs[courtB] = nextB;
+      benchCost = nextBench;
+      total += delta;
+
+      if (total < bestTotal) {
+        bestTotal = total;
+        best = slots.slice();
+      }
+    } else {
+      [slots[a], slots[b]] = [slots[b], slots[a]];
+    }
+  }
+
+  return chunk(best.slice(0, slotCount), 4).sort((x, y) => averageElo(x) - averageElo(y));
+}
+
+/* ========================= Player constraints ========================= */
+
+/**
+ * Constraints stored on player records, limited to the given players:
+ *   always_partner_id  lock this player to a partner (applies both ways)
+ *   never_pair_ids     players never to share a court with (either way)
+ */
+export function buildConstraints(players) {
+  const ids = new Set((players || []).map((p) => p.id));
+  const locks = new Map();
+  const never = new Set();
+
+  for (const p of players || []) {
+    const partnerId = p.always_partner_id;
+    if (partnerId && partnerId !== p.id && ids.has(partnerId)) {
+      if (!locks.has(p.id)) locks.set(p.id, partnerId);
+      if (!locks.has(partnerId)) locks.set(partnerId, p.id);
+    }
+
+    for (const otherId of p.never_pair_ids || []) {
+      if (otherId !== p.id && ids.has(otherId)) never.add(pairKey(p.id, otherId));
+    }
+  }
+
+  return { locks, never };
+}
+
+function courtmateConstraintCost(candidate, picked, ctx) {
+  if (!ctx?.constraints) return 0;
+  const { locks, never } = ctx.constraints;
+  let cost = 0;
+  for (const p of picked) {
+    if (never.has(pairKey(candidate.id, p.id))) cost += CONSTRAINT_PENALTY;
+    if (locks.get(candidate.id) === p.id) cost -= CONSTRAINT_PENALTY;
+  }
+  return cost;
+}
+
+function splitConstraintCost(team1, team2, ctx) {
+  if (!ctx?.constraints) return 0;
+  const { locks } = ctx.constraints;
+  let cost = 0;
+  for (const a of team1) {
+    for (const b of team2) {
+      if (locks.get(a.id) === b.id) cost += CONSTRAINT_PENALTY;
+    }
+  }
+  return cost;
+}
+
+function groupConstraintViolations(group, ctx) {
+  const { locks, never } = ctx.constraints;
+  const ids = new Set(group.map((p) => p.id));
+  let count = 0;
+
+  for (const p of group) {
+    const partnerId = locks.get(p.id);
+    if (partnerId && !ids.has(partnerId)) count += 1;
+    for (const q of group) {
+      if (p.id < q.id && never.has(pairKey(p.id, q.id))) count += 1;
+    }
+  }
+
+  return count;
+}
+
+function groupFormatBroken(group, mode) {
+  if (mode === MATCH_MODES.MIXED) return isMixableQuad(group) ? 0 : 1;
+  if (mode === MATCH_MODES.LEVEL) return levelFormat(group) === 'open' ? 1 : 0;
+  return 0;
+}
+
+function groupRepairCost(group, ctx) {
+  const scores = group.map(scoreForMatch);
+  return (
+    CONSTRAINT_PENALTY * groupConstraintViolations(group, ctx) +
+    GENDER_FORMAT_PENALTY * groupFormatBroken(group, ctx.mode) +
+    (Math.max(...scores) - Math.min(...scores))
+  );
+}
+
+/**
+ * Hill-climb over single swaps between courts until no court holds a broken
+ * lock or a never-pair, or no swap helps. Rating spread breaks ties, and in
+ * the gender modes a swap that breaks a court's format costs extra.
+ */
+function repairConstraints(groups, ctx) {
+  const { locks, never } = ctx.constraints;
+  if ((!locks.size && !never.size) || groups.length < 2) return groups;
+
+  const out = groups.map((g) => g.slice());
+  const costs = out.map((g) => groupRepairCost(g, ctx));
+
+  for (let pass = 0; pass < CONSTRAINT_REPAIR_PASSES; pass++) {
+    let best = null;
+
+    for (let gi = 0; gi < out.length; gi++) {
+      if (!groupConstraintViolations(out[gi], ctx)) continue;
+
+      for (let gj = 0; gj < out.length; gj++) {
+        if (gj === gi) continue;
+
+        for (let a = 0; a < 4; a++) {
+          for (let b = 0; b < 4; b++) {
+            const nextI = out[gi].slice();
+            const nextJ = out[gj].slice();
+            [nextI[a], nextJ[b]] = [nextJ[b], nextI[a]];
+
+            const costI = groupRepairCost(nextI, ctx);
+            const costJ = groupRepairCost(nextJ, ctx);
+            const delta = costI + costJ - costs[gi] - costs[gj];
+
+            if (delta < 0 && (!best || delta < best.delta)) {
+              best = { gi, gj, nextI, nextJ, costI, costJ, delta };
+            }
+          }
+        }
+      }
+    }
+
+    if (!best) break;
+
+    out[best.gi] = best.nextI;
+    out[best.gj] = best.nextJ;
+    costs[best.gi] = best.costI;
+    costs[best.gj] = best.costJ;
+  }
+
+  return out;
+}
+
+/**
+ * Human-readable list of the constraints a built court still breaks.
+ */
+function constraintViolations(team1, team2, groups, ctx) {
+  const { locks, never } = ctx.constraints;
+  const court = [...team1, ...team2];
+  const ids = new Set(court.map((p) => p.id));
+  const byId = new Map(groups.flat().map((p) => [p.id, p]));
+  const out = [];
+
+  for (const p of court) {
+    const partnerId = locks.get(p.id);
+    const partner = partnerId ? byId.get(partnerId) : null;
+    if (!partner) continue;
+
+    if (!ids.has(partnerId)) {
+      out.push(`${p.name} and ${partner.name} are locked partners but on different courts`);
+    } else if (
+      p.id < partnerId &&
+      team1.some((x) => x.id === p.id) !== team1.some((x) => x.id === partnerId)
+    ) {
+      out.push(`${p.name} and ${partner.name} are locked partners but on opposite teams`);
+    }
+  }
+
+  for (const p of court) {
+    for (const q of court) {
+      if (p.id < q.id && never.has(pairKey(p.id, q.id))) {
+        out.push(`${p.name} and ${q.name} should never share a court`);
+      }
+    }
+  }
+
+  return out;
+}
+
+/* ========================= Gender modes ========================= */
+
+function isMixableQuad(quad) {
+  return quad.filter((p) => p.gender === 'F').length === 2;
+}
+
+function isMixedSplit(split) {
+  return (
+    split.team1.filter((p) => p.gender === 'F').length === 1 &&
+    split.team2.filter((p) => p.gender === 'F').length === 1
+  );
+}
+
+/**
+ * Mixed doubles: as many 2M+2F courts as the ratio allows, pairing men and
+ * women of similar rank. The men (or women) left over fill the remaining
+ * courts and are reported as not mixed by buildMatchesFromPlayers.
+ */
+function makeGroupsMixed(sortedPlayers, courtCount) {
+  const onCourt = sortedPlayers
+    .slice()
+    .sort((a, b) => (a._mustPlay ? 0 : 1) - (b._mustPlay ? 0 : 1))
+    .slice(0, courtCount * 4);
+  const ids = new Set(onCourt.map((p) => p.id));
+  const players = sortedPlayers.filter((p) => ids.has(p.id));
+
+  const men = players.filter((p) => p.gender !== 'F');
+  const women = players.filter((p) => p.gender === 'F');
+  const mixedCount = Math.min(courtCount, Math.floor(men.length / 2), Math.floor(women.length / 2));
+
+  const size = mixedCount * 2;
+  let mixedMen;
+  let mixedWomen;
+  if (women.length <= men.length) {
+    mixedWomen = closestBlock(women, men, size);
+    mixedMen = closestBlock(men, mixedWomen, size);
+  } else {
+    mixedMen = closestBlock(men, women, size);
+    mixedWomen = closestBlock(women, mixedMen, size);
+  }
+
+  const groups = [];
+  for (let k = 0; k < mixedCount; k++) {
+    groups.push([...mixedMen.slice(k * 2, k * 2 + 2), ...mixedWomen.slice(k * 2, k * 2 + 2)]);
+  }
+
+  const mixedIds = new Set(groups.flat().map((p) => p.id));
+  const rest = players.filter((p) => !mixedIds.has(p.id));
+  groups.push(...chunk(rest, 4).filter((g) => g.length === 4));
+
+  return groups.slice(0, courtCount).sort((a, b) => averageElo(a) - averageElo(b));
+}
+
+/**
+ * Level doubles: men's and women's courts built with the window grouping
+ * inside each gender. Whoever doesn't complete a four shares an open court.
+ */
+function makeGroupsLevel(sortedPlayers, courtCount, pressure = 0, ctx = null) {
+  const onCourt = sortedPlayers
+    .slice()
+    .sort((a, b) => (a._mustPlay ? 0 : 1) - (b._mustPlay ? 0 : 1))
+    .slice(0, courtCount * 4);
+  const ids = new Set(onCourt.map((p) => p.id));
+  const players = sortedPlayers.filter((p) => ids.has(p.id));
+
+  const groups = [];
+  for (const gender of ['M', 'F']) {
+    const subset = players.filter((p) => (p.gender === 'F' ? 'F' : 'M') === gender);
+    const count = Math.floor(subset.length / 4);
+    if (!count) continue;
+
+    const built = makeGroupsWindow(subset, count, pressure, ctx);
+    groups.push(...(built.length === count ? built : chunk(subset, 4).slice(0, count)));
+  }
+
+  const grouped = new Set(groups.flat().map((p) => p.id));
+  const rest = players.filter((p) => !grouped.has(p.id));
+  groups.push(...chunk(rest, 4).filter((g) => g.length === 4));
+
+  return groups.slice(0, courtCount).sort((a, b) => averageElo(a) - averageElo(b));
+}
+
+function levelFormat(quad) {
+  const women = quad.filter((p) => p.gender === 'F').length;
+  if (women === 0) return 'MD';
+  if (women === 4) return 'WD';
+  return 'open';
+}
+
+/**
+ * The `size` players of `list` (sorted) that leave the fewest rating gaps
+ * against `other`, keeping them as a contiguous rating block.
+ */
+function closestBlock(list, other, size) {
+  if (size >= list.length) return list.slice();
+
+  let bestStart = 0;
+  let bestCost = Infinity;
+
+  for (let start = 0; start + size <= list.length; start++) {
+    let cost = 0;
+    for (let k = 0; k < size; k++) {
+      const partner = other[Math.min(k, other.length - 1)];
+      cost += Math.abs(scoreForMatch(list[start + k]) - scoreForMatch(partner));
+    }
+    if (cost < bestCost) {
+      bestCost = cost;
+      bestStart = start;
+    }
+  }
+
+  return list.slice(bestStart, bestStart + size);
+}
+
+function bandOf(score) {
+  return Math.max(0, Math.floor((score - 700) / BAND_SIZE));
+}
+
+function stripBand(p) {
+  const { _band, ...rest } = p;
+  return rest;
+}
+
+/* ========================= Ladder (king of the court) ========================= */
+
+/**
+ * King-of-the-court round. Court 1 is the top court. Winners of court N move
+ * up to court N-1 (court 1 winners stay), losers move down to N+1. Benched
+ * players come in on the bottom court and push the bottom finishers off.
+ * Courts without a result keep their players. With no previous round the
+ * ladder is seeded from ratings, strongest court first.
+ *
+ * winners maps court number -> winning team (1 | 2), as in winnerSelections.
+ * Returns { matches, playing, benched }.
+ */
+function buildLadderRound(
+  engine,
+  attending,
+  previousMatches = [],
+  winners = {},
+  courtsCount = 4,
+  options = {}
+) {
+  const present = availablePlayers(attending);
+  const capacity = Math.min(courtsCount * 4, present.length - (present.length % 4));
+  if (capacity < 4) return { matches: [], playing: [], benched: present.slice() };
+
+  const byId = new Map(present.map((p) => [p.id, p]));
+  const ctx = buildContext(engine, present, options);
+
+  const ranked = ladderStandings(previousMatches, winners)
+    .map((id) => byId.get(id))
+    .filter(Boolean);
+
+  let groups;
+  let playing;
+
+  if (!ranked.length) {
+    const seeded = selectPlayersForRound(engine, present, ctx.round, new Set(), capacity / 4, {
+      ...options,
+      rng: ctx.rng,
+    }).playing;
+    playing = seeded;
+    groups = chunk(
+      seeded.slice().sort((a, b) => scoreForMatch(b) - scoreForMatch(a)),
+      4
+    );
+  } else {
+    const rankedIds = new Set(ranked.map((p) => p.id));
+    const waiting = present
+      .filter((p) => !rankedIds.has(p.id))
+      .sort((a, b) => {
+        const benchDiff = Number(b.bench_count || 0) - Number(a.bench_count || 0);
+        if (benchDiff) return benchDiff;
+        return Number(a.last_played_round || 0) - Number(b.last_played_round || 0);
+      });
+
+    const keepCount = Math.min(ranked.length, capacity - Math.min(waiting.length, capacity));
+    const incoming = waiting.slice(0, capacity - keepCount);
+
+    playing = [...ranked.slice(0, keepCount), ...incoming];
+    groups = chunk(playing, 4);
+  }
+
+  const playingIds = new Set(playing.map((p) => p.id));
+  const benched = present.filter((p) => !playingIds.has(p.id));
+
+  const matches = groups.map((g, i) => buildMatch(g, i + 1, groups, ctx));
+  trimHistory(ctx.history, REMATCH_MEMORY);
+
+  return { matches, playing, benched };
+}
+
+/**
+ * Player ids from last round in their new ladder order. Each team gets a
+ * position key: winners of court c sit at c - 1.5 (one court up), losers at
+ * c + 0.5 (one court down), unresolved teams at c - 0.5 (stay). Chunking the
+ * sorted teams back into fours gives the new courts.
+ */
+function ladderStandings(previousMatches, winners) {
+  const teams = [];
+
+  for (const match of previousMatches || []) {
+    const court = Number(match.court);
+    const winner = Number(winners?.[match.court] || 0);
+
+    for (const team of [1, 2]) {
+      const players = team === 1 ? match.team1 : match.team2;
+      const avg = team === 1 ? match.avg1 : match.avg2;
+      let key = court - 0.5;
+      if (winner === team) key = court - 1.5;
+      else if (winner) key = court + 0.5;
+      teams.push({ key, avg, ids: players.map((p) => p.id) });
+    }
+  }
+
+  return teams
+    .sort((a, b) => a.key - b.key || b.avg - a.avg)
+    .flatMap((t) => t.ids);
+}
+
+/* ========================= Americano ========================= */
+
+/**
+ * Precompute a full Americano night for a fixed roster: n - 1 rounds in which
+ * everyone partners everyone else exactly once (circle-method round robin),
+ * with each round's teams paired into courts so opponents are spread as
+ * evenly as the restarts can manage.
+ *
+ * Needs a multiple of four players and a court for every four of them;
+ * returns null otherwise. Rounds hold player ids:
+ *   { player_ids, rounds: [[{ team1: [id, id], team2: [id, id] }, ...], ...] }
+ */
+export function buildAmericanoSchedule(players, courtsCount = 4, options = {}) {
+  const n = players?.length || 0;
+  if (n < 4 || n % 4 !== 0 || n / 4 > courtsCount) return null;
+
+  const ids = players.map((p) => p.id);
+  const cyclic = cyclicAmericanoRounds(ids);
+  if (cyclic) return { player_ids: ids, rounds: cyclic };
+
+  const rng = options.rng || Math.random;
+
+  let best = null;
+  let bestScore = Infinity;
+
+  // Each restart costs about n^3 opponent checks; big rosters get fewer.
+  const attempts = clamp(Math.floor(AMERICANO_WORK_BUDGET / n ** 3), 1, AMERICANO_ATTEMPTS);
+
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const ids = shuffle(players.map((p) => p.id), rng);
+    const opponents = new Map();
+    const partnerRounds = circlePartnerRounds(ids);
+    const rounds = partnerRounds.map((pairs) => pairTeamsIntoCourts(pairs, opponents, rng));
+
+    // Re-pair each round against all the others until nothing improves.
+    for (let pass = 0; pass < AMERICANO_REFINE_PASSES; pass++) {
+      let improved = false;
+      rounds.forEach((courts, r) => {
+        const before = courtsOpponentCost(courts, opponents, -1);
+        countOpponents(courts, opponents, -1);
+        const next = pairTeamsIntoCourts(partnerRounds[r], opponents, rng);
+        if (courtsOpponentCost(next, opponents, -1) < before) improved = true;
+        rounds[r] = next;
+      });
+      if (!improved) break;
+    }
+
+    let score = 0;
+    for (const count of opponents.values()) score += count * count;
+
+    if (score < bestScore) {
+      bestScore = score;
+      best = rounds;
+    }
+  }
+
+  return { player_ids: ids, rounds: best };
+}
+
+/**
+ * Exact schedule where one exists: find a starting round on points
+ * {0..n-2, inf} whose partnerships use every difference class once and whose
+ * opponents use every class twice, then rotate it n - 1 times. Every pair then
+ * partners once and meets as opponents exactly twice. Returns null when the
+ * search gives up.
+ */
+function cyclicAmericanoRounds(ids) {
+  const n = ids.length;
+  const m = n - 1;
+  const INF = m;
+  const diffClass = (a, b) => {
+    if (a === INF || b === INF) return 0;
+    const d = (((a - b) % m) + m) % m;
+    return Math.min(d, m - d);
+  };
+
+  const budget = { steps: 0 };
+  const used = new Array(n).fill(false);
+  const classUsed = new Set();
+  const teams = [];
+  let starter = null;
+
+  const findTeams = () => {
+    if (++budget.steps > AMERICANO_SEARCH_STEPS || starter) return;
+    const first = used.indexOf(false);
+    if (first < 0) {
+      starter = pairStarterTeams(teams, diffClass, n, budget);
+      return;
+    }
+
+    used[first] = true;
+    for (let other = first + 1; other < n && !starter; other++) {
+      const cls = diffClass(first, other);
+      if (used[other] || classUsed.has(cls)) continue;
+
+      used[other] = true;
+      classUsed.add(cls);
+      teams.push([first, other]);
+      findTeams();
+      teams.pop();
+      classUsed.delete(cls);
+      used[other] = false;
+    }
+    used[first] = false;
+  };
+
+  findTeams();
+  if (!starter) return null;
+
+  const shift = (point, r) => (point === INF ? INF : (point + r) % m);
+  const rounds = [];
+  for (let r = 0; r < m; r++) {
+    rounds.push(
+      starter.map(({ team1, team2 }) => ({
+        team1: team1.map((pt) => ids[shift(pt, r)]),
+        team2: team2.map((pt) => ids[shift(pt, r)]),
+      }))
+    );
+  }
+  return rounds;
+}
+
+/**
+ * Pair the starting teams into courts so every opponent difference class is
+ * used exactly twice. Backtracks court by court, dropping a branch as soon as
+ * a class goes over, and shares the search step budget with findTeams.
+ */
+function pairStarterTeams(teams, diffClass, n, budget) {
+  const target = 2;
+  const counts = new Array(n / 2).fill(0);
+  const used = new Array(teams.length).fill(false);
+  const courts = [];
+
+  const place = (first, other, step) => {
+    let ok = true;
+    for (const a of teams[first]) {
+      for (const b of teams[other]) {
+        const cls = diffClass(a, b);
+        counts[cls] += step;
+        if (counts[cls] > target) ok = false;
+      }
+    }
+    return ok;
+  };
+
+  const search = () => {
+    if (++budget.steps > AMERICANO_SEARCH_STEPS) return false;
+    const first = used.indexOf(false);
+    if (first < 0) return true;
+
+    used[first] = true;
+    for (let other = first + 1; other < teams.length; other++) {
+      if (used[other]) continue;
+
+      used[other] = true;
+      const ok = place(first, other, 1);
+      courts.push({ team1: teams[first], team2: teams[other] });
+      if (ok && search()) return true;
+      courts.pop();
+      place(first, other, -1);
+      used[other] = false;
+    }
+    used[first] = false;
+    return false;
+  };
+
+  return search() ? courts : null;
+}
+
+/**
+ * Round-robin 1-factorisation: n - 1 rounds of n / 2 partnerships.
+ */
+function circlePartnerRounds(ids) {
+  const n = ids.length;
+  const rounds = [];
+
+  for (let r = 0; r < n - 1; r++) {
+    const pairs = [[ids[n - 1], ids[r]]];
+    for (let k = 1; k < n / 2; k++) {
+      pairs.push([ids[(r + k) % (n - 1)], ids[(r - k + n - 1) % (n - 1)]]);
+    }
+    rounds.push(pairs);
+  }
+
+  return rounds;
+}
+
+/**
+ * Pair a round's teams into courts so opponents repeat as little as possible
+ * so far (sum-of-squares growth), and count the chosen opponents. Teams are
+ * paired greedily in random order, then courts swap teams with each other
+ * while that lowers the cost; polynomial in the number of teams, so large
+ * halls stay fast.
+ */
+function pairTeamsIntoCourts(pairs, opponents, rng) {
+  const cost = (team1, team2) => courtsOpponentCost([{ team1, team2 }], opponents, 0);
+  const open = shuffle(pairs, rng);
+  const courts = [];
+
+  while (open.length) {
+    const team1 = open.shift();
+    let best = 0;
+    for (let i = 1; i < open.length; i++) {
+      if (cost(team1, open[i]) < cost(team1, open[best])) best = i;
+    }
+    courts.push({ team1, team2: open.splice(best, 1)[0] });
+  }
+
+  for (let pass = 0, improved = true; improved && pass < AMERICANO_REFINE_PASSES; pass++) {
+    improved = false;
+    for (let i = 0; i < courts.length; i++) {
+      for (let j = i + 1; j < courts.length; j++) {
+        const a = courts[i];
+        const b = courts[j];
+        const before = cost(a.team1, a.team2) + cost(b.team1, b.team2);
+        const options = [
+          [{ team1: a.team1, team2: b.team1 }, { team1: a.team2, team2: b.team2 }],
+          [{ team1: a.team1, team2: b.team2 }, { team1: a.team2, team2: b.team1 }],
+        ];
+        for (const [c1, c2] of options) {
+          if (cost(c1.team1, c1.team2) + cost(c2.team1, c2.team2) < before) {
+            courts[i] = c1;
+            courts[j] = c2;
+            improved = true;
+            break;
+          }
+        }
+      }
+    }
+  }
+
+  countOpponents(courts, opponents, 1);
+  return courts;
+}
+
+/**
+ * Sum-of-squares growth from adding these courts' opponents, where `offset`
+ * corrects for courts already counted (-1) or not (0).
+ */
+function courtsOpponentCost(courts, opponents, offset) {
+  let cost = 0;
+  for (const { team1, team2 } of courts) {
+    for (const a of team1) {
+      for (const b of team2) cost += 2 * ((opponents.get(pairKey(a, b)) || 0) + offset) + 1;
+    }
+  }
+  return cost;
+}
+
+function countOpponents(courts, opponents, step) {
+  for (const { team1, team2 } of courts) {
+    for (const a of team1) {
+      for (const b of team2) {
+        const k = pairKey(a, b);
+        opponents.set(k, (opponents.get(k) || 0) + step);
+      }
+    }
+  }
+}
+
+function shuffle(arr, rng = Math.random) {
+  const out = arr.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/**
+ * Round source for an Americano night: plays round `roundIndex` (0-based) of
+ * the schedule. Courts with a player who has left or is sitting out are
+ * skipped and their remaining players are benched. `complete` is set once the
+ * schedule runs out.
+ */
+function buildAmericanoRound(engine, attending, schedule, roundIndex, options = {}) {
+  const present = availablePlayers(attending);
+  const courts = schedule?.rounds?.[roundIndex];
+  if (!courts) return { matches: [], playing: [], benched: present.slice(), complete: true };
+
+  const byId = new Map(present.map((p) => [p.id, p]));
+  const ctx = buildContext(engine, present, options);
+  const matches = [];
+
+  for (const court of courts) {
+    const team1 = court.team1.map((id) => byId.get(id));
+    const team2 = court.team2.map((id) => byId.get(id));
+    if ([...team1, ...team2].some((p) => !p)) continue;
+
+    recordMatchHistory(team1, team2, ctx.history, ctx.round);
+    matches.push(matchFromTeams(team1, team2, matches.length + 1));
+  }
+
+  trimHistory(ctx.history, REMATCH_MEMORY);
+
+  const playing = matches.flatMap((m) => [...m.team1, ...m.team2]);
+  const playingIds = new Set(playing.map((p) => p.id));
+  const benched = present.filter((p) => !playingIds.has(p.id));
+
+  return { matches, playing, benched, complete: false };
+}
+
+/* ========================= Mexicano ========================= */
+
+/**
+ * Mexicano round: who plays is chosen by the usual fairness selection, then
+ * players are ranked by their running session points (lifetime rating breaks
+ * ties, and seeds the first round before any points exist). Each four in
+ * that order forms a court, court 1 on top, split 1st+4th vs 2nd+3rd.
+ *
+ * sessionPoints maps player id -> { points, games }.
+ */
+function buildMexicanoRound(
+  engine,
+  present,
+  sessionPoints = {},
+  lastRoundBenched = new Set(),
+  courtsCount = 4,
+  options = {}
+) {
+  const ctx = buildContext(engine, present, options);
+  const { playing, benched } = selectPlayersForRound(
+    engine,
+    present,
+    ctx.round,
+    lastRoundBenched,
+    courtsCount,
+    { ...options, rng: ctx.rng }
+  );
+  if (playing.length < 4) return { matches: [], playing, benched };
+
+  const pointsOf = (p) => Number(sessionPoints?.[p.id]?.points || 0);
+  const ordered = playing
+    .slice()
+    .sort((a, b) => pointsOf(b) - pointsOf(a) || scoreForMatch(b) - scoreForMatch(a));
+
+  const matches = chunk(ordered, 4).map((quad, i) => {
+    const team1 = [quad[0], quad[3]];
+    const team2 = [quad[1], quad[2]];
+    recordMatchHistory(team1, team2, ctx.history, ctx.round);
+    return matchFromTeams(team1, team2, i + 1);
+  });
+
+  trimHistory(ctx.history, REMATCH_MEMORY);
+
+  return { matches, playing, benched };
+}
+
+/* ========================= ELO helpers ========================= */
+
+export function expectedScore(teamAvgA, teamAvgB) {
+  return 1 / (1 + Math.pow(10, (teamAvgB - teamAvgA) / 400));
+}
+
+/**
+ * ELO update for one court. Works for doubles (team averages) and singles
+ * (one player a side, so the "average" is the player's own rating).
+ */
+export function calculateMatchElo(match, winnerTeam, kFactor = 24) {
+  if (!match || (winnerTeam !== 1 && winnerTeam !== 2)) {
+    return { updates: [] };
+  }
+
+  if (!match.team1?.length || !match.team2?.length) {
+    return { updates: [] };
+  }
+
+  const singles = match.team1.length === 1 && match.team2.length === 1;
+
+  const team1Avg = averageElo(match.team1);
+  const team2Avg = averageElo(match.team2);
 
   const exp1 = expectedScore(team1Avg, team2Avg);
   const exp2 = expectedScore(team2Avg, team1Avg);
@@ -480,6 +2158,7 @@ export function calculateMatchElo(match, winnerTeam, kFactor = 24) {
   ];
 
   return {
+    singles,
     team1Avg,
     team2Avg,
     exp1,
@@ -492,17 +2171,55 @@ export function calculateMatchElo(match, winnerTeam, kFactor = 24) {
 
 /* ========================= Pair history ========================= */
 
+// History entries are the round numbers in which the pair met.
+
 function pairKey(a, b) {
   const aId = a.id || String(a);
   const bId = b.id || String(b);
   return aId < bId ? `${aId}|${bId}` : `${bId}|${aId}`;
 }
 
-function addPair(a, b, map) {
-  const k = pairKey(a, b);
-  const entry = map.get(k) || [];
-  entry.push(Date.now());
-  map.set(k, entry);
+function opponentKey(a, b) {
+  return `vs:${pairKey(a, b)}`;
+}
+
+function addPair(key, round, map) {
+  const entry = map.get(key) || [];
+  entry.push(round);
+  map.set(key, entry);
+}
+
+function recordMatchHistory(team1, team2, map, round) {
+  for (const team of [team1, team2]) {
+    if (team.length === 2) addPair(pairKey(team[0], team[1]), round, map);
+  }
+
+  for (const a of team1) {
+    for (const b of team2) {
+      addPair(opponentKey(a, b), round, map);
+    }
+  }
+}
+
+/** Undo recordMatchHistory for one match. */
+function forgetMatchHistory(team1, team2, map, round) {
+  const drop = (key) => {
+    const entry = map.get(key);
+    const idx = entry ? entry.lastIndexOf(round) : -1;
+    if (idx < 0) return;
+    entry.splice(idx, 1);
+    if (!entry.length) map.delete(key);
+  };
+
+  for (const team of [team1, team2]) {
+    if (team.length === 2) drop(pairKey(team[0], team[1]));
+  }
+
+  for (const a of team1) {
+    for (const b of team2) {
+      drop(opponentKey(a, b));
+    }
+  }
 }
 
 function trimHistory(map, keep) {
@@ -513,6 +2230,34 @@ function trimHistory(map, keep) {
   }
 }
 
+function latestHistoryRound(map) {
+  let latest = 0;
+  for (const arr of map.values()) {
+    for (const r of arr) {
+      if (r > latest) latest = r;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Recency-weighted count of meetings within the last REMATCH_MEMORY rounds:
+ * last round counts 1, the oldest remembered round counts 1/REMATCH_MEMORY.
+ */
+function recentPairWeight(map, key, round) {
+  const entries = map.get(key);
+  if (!entries?.length) return 0;
+
+  let weight = 0;
+  for (const r of entries) {
+    const age = round - r;
+    if (age >= 1 && age <= REMATCH_MEMORY) {
+      weight += (REMATCH_MEMORY - age + 1) / REMATCH_MEMORY;
+    }
+  }
+  return weight;
+}
+
 /* ========================= Timer util ========================= */
 
 export function formatTime(totalSeconds) {